@@ -0,0 +1,244 @@
+/**
+ * Frame & Video Asset Check
+ *
+ * Validates public/frames and public/videos against WEATHER_TYPES and exits
+ * non-zero on any problem, so asset drops can be gated in CI:
+ *
+ *   npm run frames:check
+ *   npm run frames:check -- --max-frame-kb=250 --max-video-mb=10
+ *
+ * An asset counts as present in any quality tier as well as untiered.
+ *
+ * Errors (fail the check):
+ *   - missing idle video for a core type          public/videos/{type}.mp4
+ *   - missing transition for a core pair          public/frames/{from}_to_{to}/
+ *                                                 or public/videos/{from}_to_{to}.mp4
+ *   - gaps in a folder's frame numbering
+ *   - frames in a different naming format than the folder's frame 1
+ *   - frames whose dimensions differ within a folder, or from the other folders
+ *   - frames / videos over the size budget
+ *   - a folder whose quality tiers (public/frames/{tier}/{name}/) disagree
+ *     on naming or frame count
+ *
+ * Warnings (reported only): assets for optional types — the ones listed in
+ * FALLBACK_TYPES — since the app borrows their fallback's assets.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { WEATHER_TYPES, FALLBACK_TYPES, getTransitionKey } from "../src/utils/weatherTypes.js";
+import { describeFormat, formatFrameName } from "../src/utils/frameFormats.js";
+import { QUALITY_TIERS } from "../src/utils/qualityTiers.js";
+import { listFrameFolders, listVideos, readImageSize, scanFrameFolder } from "./frames-manifest.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC_DIR = path.join(ROOT, "public");
+const FRAMES_DIR = path.join(PUBLIC_DIR, "frames");
+const VIDEOS_DIR = path.join(PUBLIC_DIR, "videos");
+
+const IMAGE_FILE = /\.(jpe?g|png|webp)$/i;
+
+// Where assets can live: untiered (null) and each quality tier
+const LOCATIONS = [null, ...QUALITY_TIERS];
+const relativeDir = (tier, name) => (tier ? `${tier}/${name}` : name);
+
+function parseArgs(argv) {
+  const opts = { maxFrameKb: 300, maxVideoMb: 15 };
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    if (key === "max-frame-kb") opts.maxFrameKb = Number(value);
+    if (key === "max-video-mb") opts.maxVideoMb = Number(value);
+  }
+  return opts;
+}
+
+// ── Checks ─────────────────────────────────────────────────────────
+
+function checkCoverage(report) {
+  const types = Object.values(WEATHER_TYPES);
+  const isOptional = (type) => type in FALLBACK_TYPES;
+  const folders = new Set(LOCATIONS.flatMap((tier) => listFrameFolders(PUBLIC_DIR, tier)));
+  const videos  = new Set(LOCATIONS.flatMap((tier) => listVideos(PUBLIC_DIR, tier)));
+
+  for (const type of types) {
+    if (videos.has(type)) continue;
+    const msg = `videos/${type}.mp4`;
+    if (isOptional(type)) report.warn("Missing optional idle videos", `${msg} (uses ${FALLBACK_TYPES[type]})`);
+    else report.error("Missing idle videos", msg);
+  }
+
+  for (const from of types) {
+    for (const to of types) {
+      const key = getTransitionKey(from, to);
+      if (!key || folders.has(key) || videos.has(key)) continue;
+      const msg = `frames/${key}/ or videos/${key}.mp4`;
+      if (isOptional(from) || isOptional(to)) report.warn("Missing optional transitions", msg);
+      else report.error("Missing transitions", msg);
+    }
+  }
+}
+
+// `name` is the folder's path under public/frames, e.g. "720/sunny_to_rainy"
+function checkFolder(name, opts, report, dimsByFolder) {
+  const dir = path.join(FRAMES_DIR, name);
+  const files = fs.readdirSync(dir).filter((f) => IMAGE_FILE.test(f));
+  const info = scanFrameFolder(dir);
+
+  if (!info) {
+    report.error("Unrecognized frame naming", `frames/${name}/ — no frame 1 in any known format (${files.length} images)`);
+    return;
+  }
+
+  // Naming: every image should be frame N of the folder's format
+  const expected = new Set();
+  const indices = [];
+  for (const file of files) {
+    const match = file.startsWith(info.format.prefix) && file.endsWith(info.format.ext)
+      ? file.slice(info.format.prefix.length, -info.format.ext.length)
+      : null;
+    if (match && /^\d+$/.test(match) && formatFrameName(Number(match), info.format) === file) {
+      indices.push(Number(match));
+      expected.add(file);
+    }
+  }
+  const foreign = files.filter((f) => !expected.has(f));
+  if (foreign.length) {
+    report.error(
+      "Mixed naming formats",
+      `frames/${name}/ uses ${describeFormat(info.format)} but has ${foreign.length} other file(s), e.g. ${foreign.slice(0, 3).join(", ")}`
+    );
+  }
+
+  // Numbering: anything past the contiguous run from 1 means a gap
+  const last = Math.max(...indices);
+  if (last > info.frameCount) {
+    const present = new Set(indices);
+    const missing = [];
+    for (let i = info.frameCount + 1; i < last && missing.length < 5; i++) {
+      if (!present.has(i)) missing.push(i);
+    }
+    report.error(
+      "Frame-count gaps",
+      `frames/${name}/ stops at frame ${info.frameCount} but goes up to ${last} (missing ${missing.join(", ")}${missing.length === 5 ? ", …" : ""})`
+    );
+  }
+
+  // Dimensions and size, frame by frame
+  const sizes = new Map();
+  const oversized = [];
+  for (const file of expected) {
+    const full = path.join(dir, file);
+    const dims = readImageSize(full);
+    const key = dims ? `${dims.width}×${dims.height}` : "unreadable";
+    sizes.set(key, (sizes.get(key) ?? 0) + 1);
+
+    const kb = fs.statSync(full).size / 1024;
+    if (kb > opts.maxFrameKb) oversized.push(`${file} (${Math.round(kb)} KB)`);
+  }
+  if (sizes.size > 1) {
+    const summary = [...sizes].map(([dims, count]) => `${count}× ${dims}`).join(", ");
+    report.error("Inconsistent dimensions", `frames/${name}/ mixes ${summary}`);
+  }
+  if (oversized.length) {
+    report.error(
+      "Oversized files",
+      `frames/${name}/ has ${oversized.length} frame(s) over ${opts.maxFrameKb} KB, e.g. ${oversized.slice(0, 3).join(", ")}`
+    );
+  }
+
+  if (info.width && info.height) dimsByFolder.set(name, `${info.width}×${info.height}`);
+}
+
+// The loader reads a folder's naming and frame count once, whatever tier
+// it loads — so every copy of a folder has to agree on both
+function checkTierConsistency(report) {
+  const copies = new Map();
+  for (const tier of LOCATIONS) {
+    for (const name of listFrameFolders(PUBLIC_DIR, tier)) {
+      const info = scanFrameFolder(path.join(FRAMES_DIR, relativeDir(tier, name)));
+      if (!info) continue;
+      if (!copies.has(name)) copies.set(name, []);
+      copies.get(name).push({ where: `frames/${relativeDir(tier, name)}/`, info });
+    }
+  }
+  for (const list of copies.values()) {
+    const [first, ...rest] = list;
+    for (const { where, info } of rest) {
+      if (info.frameCount !== first.info.frameCount) {
+        report.error("Tier mismatch", `${where} has ${info.frameCount} frames, ${first.where} has ${first.info.frameCount}`);
+      }
+      if (describeFormat(info.format) !== describeFormat(first.info.format)) {
+        report.error("Tier mismatch", `${where} uses ${describeFormat(info.format)}, ${first.where} uses ${describeFormat(first.info.format)}`);
+      }
+    }
+  }
+}
+
+// Folders should all share one resolution, or transitions will visibly jump.
+// Called once per tier — tiers differ in resolution by design.
+function checkCrossFolderDimensions(dimsByFolder, report) {
+  const counts = new Map();
+  for (const dims of dimsByFolder.values()) counts.set(dims, (counts.get(dims) ?? 0) + 1);
+  if (counts.size <= 1) return;
+
+  const [majority] = [...counts].sort((a, b) => b[1] - a[1])[0];
+  for (const [name, dims] of dimsByFolder) {
+    if (dims !== majority) {
+      report.error("Inconsistent dimensions", `frames/${name}/ is ${dims}, most folders are ${majority}`);
+    }
+  }
+}
+
+function checkVideoSizes(opts, report) {
+  for (const tier of LOCATIONS) {
+    for (const name of listVideos(PUBLIC_DIR, tier)) {
+      const file = `${relativeDir(tier, name)}.mp4`;
+      const mb = fs.statSync(path.join(VIDEOS_DIR, file)).size / (1024 * 1024);
+      if (mb > opts.maxVideoMb) {
+        report.error("Oversized files", `videos/${file} is ${mb.toFixed(1)} MB (limit ${opts.maxVideoMb} MB)`);
+      }
+    }
+  }
+}
+
+// ── Report ─────────────────────────────────────────────────────────
+
+function createReport() {
+  const errors = new Map();
+  const warnings = new Map();
+  const add = (map) => (group, message) => {
+    if (!map.has(group)) map.set(group, []);
+    map.get(group).push(message);
+  };
+  return { errors, warnings, error: add(errors), warn: add(warnings) };
+}
+
+function printGroups(title, groups) {
+  for (const [group, messages] of groups) {
+    console.log(`\n${title} ${group} (${messages.length})`);
+    for (const msg of messages) console.log(`    ${msg}`);
+  }
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const report = createReport();
+
+checkCoverage(report);
+for (const tier of LOCATIONS) {
+  const dimsByFolder = new Map();
+  for (const name of listFrameFolders(PUBLIC_DIR, tier)) {
+    checkFolder(relativeDir(tier, name), opts, report, dimsByFolder);
+  }
+  checkCrossFolderDimensions(dimsByFolder, report);
+}
+checkTierConsistency(report);
+checkVideoSizes(opts, report);
+
+printGroups("✖", report.errors);
+printGroups("⚠", report.warnings);
+
+const errorCount = [...report.errors.values()].reduce((n, list) => n + list.length, 0);
+const warningCount = [...report.warnings.values()].reduce((n, list) => n + list.length, 0);
+console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+process.exit(errorCount > 0 ? 1 : 0);
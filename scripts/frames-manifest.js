@@ -0,0 +1,259 @@
+/**
+ * Frames Manifest
+ *
+ * Scans public/frames/* once at build time and describes every folder —
+ * naming format, frame count, image dimensions and optional playback
+ * timing — and lists the clips in public/videos, so the browser never has
+ * to guess by firing probe requests.
+ *
+ *   {
+ *     "version": 1,
+ *     "folders": {
+ *       "cloudy_to_rainy": {
+ *         "format": { "prefix": "ezgif-frame-", "pad": 3, "ext": ".png" },
+ *         "frameCount": 140,
+ *         "width": 480,
+ *         "height": 270,
+ *         "duration": 1800,          ← optional, from meta.json
+ *         "easing": "easeOut"        ← optional, from meta.json
+ *       },
+ *       "sunny": {
+ *         …,
+ *         "fps": 24,                 ← optional, from meta.json (idle loops)
+ *         "loop": "pingpong"         ← optional, from meta.json (idle loops)
+ *       }
+ *     },
+ *     "videos": ["sunny", "sunny_night", "sunny_to_rainy", …], ← public/videos/*.mp4
+ *     "videoTiers": { "sunny": ["480", "1080"] }               ← public/videos/{tier}/*.mp4
+ *   }
+ *
+ * Quality tiers (see src/utils/qualityTiers.js): a folder found under
+ * public/frames/{tier}/ gets a "tiers" list, e.g. "tiers": ["480", "720"],
+ * and its format, frame count and size are read from its highest tier
+ * (or from public/frames/{name}/ if there's also an untiered copy). The
+ * loader assumes every tier of a folder shares naming and frame count;
+ * frames:check enforces it. Clips are listed by name in "videos" wherever
+ * they live, with their tiers in "videoTiers".
+ *
+ * Per-folder timing comes from an optional `meta.json` next to the frames:
+ *   { "duration": 1800, "easing": "easeOut" }   ← transition folders
+ *   { "fps": 24, "loop": "pingpong" }            ← idle folders
+ *
+ * Used three ways:
+ *   - as a Vite plugin (vite.config.js): served live in dev, emitted into dist/ on build
+ *   - from the CLI: `npm run frames:manifest [-- out.json]` prints or writes it
+ *   - as a library by the other asset scripts
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { FORMAT_CANDIDATES, formatFrameName } from "../src/utils/frameFormats.js";
+import { QUALITY_TIERS } from "../src/utils/qualityTiers.js";
+
+export const MANIFEST_FILE = "frames-manifest.json";
+export const MANIFEST_VERSION = 1;
+
+const FOLDER_META_FILE = "meta.json";
+
+// ── Image headers ──────────────────────────────────────────────────
+
+/**
+ * Read width/height from a PNG or JPEG header without decoding the image.
+ * Returns { width, height } or null for unknown/corrupt files.
+ */
+export function readImageSize(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buf, 0, buf.length, 0);
+
+    // PNG: 8-byte signature, then the IHDR chunk
+    if (bytes >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+      return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    // JPEG: walk segments until a start-of-frame marker
+    if (bytes >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < bytes) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+        const length = buf.readUInt16BE(offset + 2);
+        const isSOF = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isSOF) {
+          return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + length;
+      }
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ── Folder scanning ────────────────────────────────────────────────
+
+function readFolderMeta(dir) {
+  const file = path.join(dir, FOLDER_META_FILE);
+  if (!fs.existsSync(file)) return {};
+  try {
+    const { duration, easing, fps, loop } = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+      ...(typeof duration === "number" ? { duration } : {}),
+      ...(typeof easing === "string" ? { easing } : {}),
+      ...(typeof fps === "number" && fps > 0 ? { fps } : {}),
+      ...(loop === "loop" || loop === "pingpong" ? { loop } : {}),
+    };
+  } catch (e) {
+    console.warn(`[frames-manifest] ignoring unreadable ${file}: ${e.message}`);
+    return {};
+  }
+}
+
+/**
+ * Describe one frame folder.
+ * Returns null if no frame matches any known naming format.
+ *
+ * frameCount is the length of the contiguous run starting at frame 1 —
+ * the range the loader can actually play.
+ */
+export function scanFrameFolder(dir) {
+  const files = new Set(fs.readdirSync(dir));
+  const format = FORMAT_CANDIDATES.find((fmt) => files.has(formatFrameName(1, fmt)));
+  if (!format) return null;
+
+  let frameCount = 0;
+  while (files.has(formatFrameName(frameCount + 1, format))) frameCount++;
+
+  const size = readImageSize(path.join(dir, formatFrameName(1, format)));
+
+  return {
+    format: { prefix: format.prefix, pad: format.pad, ext: format.ext },
+    frameCount,
+    width: size?.width ?? null,
+    height: size?.height ?? null,
+    ...readFolderMeta(dir),
+  };
+}
+
+/**
+ * List the frame folders in public/frames, or in public/frames/{tier} when
+ * a tier is given — never the tier folders themselves. Sorted; empty if the
+ * directory doesn't exist.
+ */
+export function listFrameFolders(publicDir, tier = null) {
+  const framesDir = path.join(publicDir, "frames", tier ?? "");
+  if (!fs.existsSync(framesDir)) return [];
+  return fs
+    .readdirSync(framesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !QUALITY_TIERS.includes(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Names (without .mp4) of the clips in public/videos, or in
+ * public/videos/{tier} when a tier is given. Sorted.
+ */
+export function listVideos(publicDir, tier = null) {
+  const videosDir = path.join(publicDir, "videos", tier ?? "");
+  if (!fs.existsSync(videosDir)) return [];
+  return fs
+    .readdirSync(videosDir)
+    .filter((file) => file.endsWith(".mp4"))
+    .map((file) => file.slice(0, -".mp4".length))
+    .sort();
+}
+
+/**
+ * Build the manifest object for a public/ directory.
+ */
+export function buildFramesManifest(publicDir) {
+  const folders = {};
+  const folderTiers = {};
+  const videos = new Set(listVideos(publicDir));
+  const videoTiers = {};
+
+  // Tiers low to high, so the highest tier's scan is the one that sticks
+  for (const tier of QUALITY_TIERS) {
+    for (const name of listFrameFolders(publicDir, tier)) {
+      const info = scanFrameFolder(path.join(publicDir, "frames", tier, name));
+      if (!info) continue;
+      folders[name] = info;
+      (folderTiers[name] ??= []).push(tier);
+    }
+    for (const name of listVideos(publicDir, tier)) {
+      videos.add(name);
+      (videoTiers[name] ??= []).push(tier);
+    }
+  }
+  for (const name of listFrameFolders(publicDir)) {
+    const info = scanFrameFolder(path.join(publicDir, "frames", name));
+    if (info) folders[name] = info;
+  }
+  for (const [name, tiers] of Object.entries(folderTiers)) folders[name].tiers = tiers;
+
+  const sorted = Object.fromEntries(Object.keys(folders).sort().map((name) => [name, folders[name]]));
+  return {
+    version: MANIFEST_VERSION,
+    folders: sorted,
+    videos: [...videos].sort(),
+    ...(Object.keys(videoTiers).length ? { videoTiers } : {}),
+  };
+}
+
+// ── Vite plugin ────────────────────────────────────────────────────
+
+/**
+ * Serves /frames-manifest.json from a fresh scan on every dev request
+ * (so frames dropped in while the server runs show up), and emits it
+ * into the bundle on build.
+ */
+export function framesManifest() {
+  let publicDir;
+
+  return {
+    name: "skies-frames-manifest",
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(`/${MANIFEST_FILE}`, (req, res) => {
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("Cache-Control", "no-cache");
+        res.end(JSON.stringify(buildFramesManifest(publicDir)));
+      });
+    },
+
+    generateBundle() {
+      const manifest = buildFramesManifest(publicDir);
+      this.emitFile({
+        type: "asset",
+        fileName: MANIFEST_FILE,
+        source: JSON.stringify(manifest, null, 2),
+      });
+      console.log(
+        `[frames-manifest] ${Object.keys(manifest.folders).length} frame folders, ` +
+        `${manifest.videos.length} videos → ${MANIFEST_FILE}`
+      );
+    },
+  };
+}
+
+// ── CLI ────────────────────────────────────────────────────────────
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+  const manifest = JSON.stringify(buildFramesManifest(path.join(root, "public")), null, 2);
+  const out = process.argv[2];
+  if (out) {
+    fs.writeFileSync(out, manifest + "\n");
+    console.log(`[frames-manifest] wrote ${out}`);
+  } else {
+    console.log(manifest);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Service Worker Build
+ *
+ * Vite plugin that writes dist/sw.js from src/sw.js with its precache list
+ * filled in (see the top of src/sw.js for the shape):
+ *
+ *   shell  every file of the build, the frames manifest, the web app
+ *          manifest and the icon — enough to open the app offline
+ *   media  per quality tier, every clip and frame folder in the frames
+ *          manifest at that tier — idle clips first, so each type has a
+ *          scene offline early, then transition clips, then frame folders.
+ *          The page asks for one tier's list once it knows its tier (and
+ *          not at all under Save-Data).
+ *
+ * The media cache is named after a hash of every file under public/frames
+ * and public/videos (path, size, mtime), so re-exported assets replace the
+ * old cache instead of being served stale.
+ *
+ * Build only: in dev there's no service worker, so nothing is ever served
+ * stale while working on the app.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { QUALITY_TIERS, pickAvailableTier } from "../src/utils/qualityTiers.js";
+import { MANIFEST_FILE, buildFramesManifest } from "./frames-manifest.js";
+
+const SOURCE_FILE = "src/sw.js";
+const OUTPUT_FILE = "sw.js";
+const PLACEHOLDER = "self.__SKIES_PRECACHE__";
+
+// Files in public/ the app needs besides the bundle
+const PUBLIC_SHELL = ["/manifest.webmanifest", "/icon.svg"];
+
+/**
+ * Media to precache for each quality tier — clip URLs (idle clips first)
+ * and frame folders, which the service worker expands into frame URLs
+ * rather than shipping thousands of them:
+ *
+ *   { "480": {
+ *       clips:   ["/videos/480/sunny.mp4", …, "/videos/480/sunny_to_rainy.mp4", …],
+ *       folders: [{ dir: "/frames/480/sunny_to_rainy/", prefix, pad, ext, frameCount }, …],
+ *   }, … }
+ */
+export function listPrecacheMedia(publicDir) {
+  const { folders, videos, videoTiers = {} } = buildFramesManifest(publicDir);
+  // Idle clips ("sunny", "sunny_night") before transitions ("sunny_to_rainy")
+  const isTransition = (name) => name.includes("_to_");
+  const clipNames = [...videos].sort((a, b) => isTransition(a) - isTransition(b));
+  return Object.fromEntries(QUALITY_TIERS.map((quality) => {
+    const at = (tiers) => {
+      const tier = pickAvailableTier(tiers, quality);
+      return tier ? `${tier}/` : "";
+    };
+    return [quality, {
+      clips: clipNames.map((name) => `/videos/${at(videoTiers[name])}${name}.mp4`),
+      folders: Object.entries(folders).map(([name, info]) => ({
+        dir: `/frames/${at(info.tiers)}${name}/`,
+        ...info.format,
+        frameCount: info.frameCount,
+      })),
+    }];
+  }));
+}
+
+/**
+ * Hash of every file under public/frames and public/videos — path, size
+ * and modification time — so any re-export changes it.
+ */
+export function hashMediaFiles(publicDir) {
+  const hash = createHash("sha1");
+  function walk(dir) {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else {
+        const { size, mtimeMs } = fs.statSync(full);
+        hash.update(`${path.relative(publicDir, full)}:${size}:${mtimeMs}\n`);
+      }
+    }
+  }
+  walk(path.join(publicDir, "frames"));
+  walk(path.join(publicDir, "videos"));
+  return hash.digest("hex").slice(0, 10);
+}
+
+export function serviceWorker() {
+  let root;
+  let publicDir;
+
+  return {
+    name: "skies-service-worker",
+    apply: "build",
+
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+    },
+
+    generateBundle(_, bundle) {
+      const shell = [...new Set([
+        "/",
+        ...Object.keys(bundle).filter((file) => !file.endsWith(".map")).map((file) => `/${file}`),
+        `/${MANIFEST_FILE}`,
+        ...PUBLIC_SHELL,
+      ])].filter((file) => file !== `/${OUTPUT_FILE}`);
+      const media = listPrecacheMedia(publicDir);
+      const mediaVersion = hashMediaFiles(publicDir);
+      // From contents, not names — assets/index.css isn't content-hashed
+      const hash = createHash("sha1").update(JSON.stringify({ shell, media, mediaVersion }));
+      for (const output of Object.values(bundle)) hash.update(output.type === "chunk" ? output.code : output.source);
+      const version = hash.digest("hex").slice(0, 10);
+
+      const source = fs.readFileSync(path.join(root, SOURCE_FILE), "utf8");
+      if (!source.includes(PLACEHOLDER)) this.error(`${SOURCE_FILE} no longer reads ${PLACEHOLDER}`);
+      const precache = JSON.stringify({ version, mediaVersion, shell, media, tiers: QUALITY_TIERS });
+      this.emitFile({
+        type: "asset",
+        fileName: OUTPUT_FILE,
+        source: source.replace(`const PRECACHE = ${PLACEHOLDER};`, `const PRECACHE = ${precache};`),
+      });
+      const { clips = [], folders = [] } = media[QUALITY_TIERS[0]] ?? {};
+      console.log(`[service-worker] ${shell.length} shell files precached, ${clips.length} clips + ${folders.length} frame folders per tier on request → ${OUTPUT_FILE}`);
+    },
+  };
+}
@@ -1,47 +1,86 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useSyncExternalStore } from "react";
 import WeatherScene from "./components/WeatherScene";
 import WeatherCard from "./components/WeatherCard";
 import ErrorScreen from "./components/ErrorScreen";
 import LocationSearch from "./components/LocationSearch";
-import { fetchWeatherData, processWeatherDays } from "./utils/weatherApi";
-import { getWeatherType, getTransitionKey } from "./utils/weatherTypes";
+import SettingsMenu from "./components/SettingsMenu";
+import AmbientSound from "./components/AmbientSound";
+import { fetchWeatherData, processWeatherDays, getDayLabel, describeDay } from "./utils/weatherApi";
+import { readCachedForecast, writeCachedForecast } from "./utils/forecastCache";
+import { getWeatherType, getWeatherIntensity } from "./utils/weatherTypes";
+import { loadFramesManifest } from "./utils/frameLoader";
+import { resolveTransition } from "./utils/transitionGraph";
+import { EASINGS, TRANSITION_DURATION, CALM_TRANSITION, MAX_JUMP_MS, resolveTransitionTiming, planJumpHops } from "./utils/jumpPlan";
+import {
+  SCRUB_DISTANCE, WHEEL_RELEASE_MS, INERTIA_RUN, INERTIA_GAP_MS, INERTIA_RESTART_RATIO, MOMENTUM_MS, MIN_SNAP_MS,
+  createVelocityTracker, wheelDeltaPx,
+} from "./utils/scrub";
+import { loadUnits, saveUnits } from "./utils/units";
+import { getQualityPreference, getAutoQualityTier, setQualityPreference, subscribeQuality } from "./utils/quality";
+import { loadSoundPreference, saveSoundPreference } from "./utils/soundscape";
+import { loadMotionPreference, saveMotionPreference, getSystemReducedMotion, subscribeSystemReducedMotion, isReducedMotion } from "./utils/motion";
+import { getNightAmount } from "./utils/dateTime";
 import "./styles/globals.css";
 
 const DEFAULT_LOCATION = { lat: 48.8566, lon: 2.3522, name: "Paris" };
 
-// Easing: ease-in-out cubic
-function easeInOut(t) {
-  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-}
-
-// Duration of a full forward transition in ms
-const TRANSITION_DURATION = 1400;
-// Minimum wheel/touch delta to trigger a transition
-const WHEEL_THRESHOLD = 30;
-
 export default function App() {
   const [weatherDays, setWeatherDays] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [location, setLocation] = useState(DEFAULT_LOCATION);
+  const [lastUpdated, setLastUpdated] = useState(null); // ms timestamp of the forecast on screen
+  const [isOffline, setIsOffline] = useState(false);
+  // Re-render once the frames manifest is in, so transitions resolve against it
+  const [, setManifestLoaded] = useState(false);
+  const [refreshToken, setRefreshToken] = useState(0); // bump to force a refetch
+  const [units, setUnits] = useState(loadUnits);
+  // Asset quality lives in utils/quality (the scene lowers it at runtime)
+  const qualityPreference = useSyncExternalStore(subscribeQuality, getQualityPreference);
+  const autoQualityTier   = useSyncExternalStore(subscribeQuality, getAutoQualityTier);
+  const [sound, setSound] = useState(loadSoundPreference); // "on" | "off" — ambient audio is opt-in
+  const [motion, setMotion] = useState(loadMotionPreference); // "auto" | "full" | "reduced"
+  const systemReducedMotion = useSyncExternalStore(subscribeSystemReducedMotion, getSystemReducedMotion);
+  const reducedMotion = isReducedMotion(motion, systemReducedMotion);
+  const [clock, setClock] = useState(() => Date.now()); // drives day/night, ticks each minute
 
   // These drive the scene — stored as refs for the animation loop,
   // mirrored into state only for React re-renders
   const activeDayRef = useRef(0);
-  const progressRef  = useRef(0);   // 0 = fully on current day, 1 = fully on next day
+  const progressRef  = useRef(0);   // 0 = fully on current day, 1 = fully on next day, -1 = fully on previous day
   const [activeDay,    setActiveDay]    = useState(0);
   const [scrollProgress, setScrollProgress] = useState(0);
+  // Index into the active day's hourly series, or null for the whole-day view
+  const [activeHour, setActiveHour] = useState(null);
+  // Read out by screen readers whenever the day changes
+  const [announcement, setAnnouncement] = useState("");
+  const announcedDayRef = useRef(0);
 
   // Animation state
   const animRef        = useRef(null);  // rAF handle
   const animStartRef   = useRef(null);  // timestamp when animation began
   const animFromRef    = useRef(0);     // progress value at animation start
-  const animTargetRef  = useRef(0);     // target progress (0 or 1)
+  const animTargetRef  = useRef(0);     // target progress (-1, 0 or 1)
+  const animTimingRef  = useRef({ duration: TRANSITION_DURATION, ease: EASINGS.easeInOut });
+  // Multi-day jumps: the day the running transition lands on (null = the
+  // adjacent day), and the hops still to play after it
+  const hopTargetRef   = useRef(null);
+  const [hopTarget, setHopTarget] = useState(null);
+  const jumpQueueRef   = useRef([]);
   const isAnimatingRef = useRef(false);
 
+  // Scene types of the previous/current/next day, read when a transition starts
+  const sceneTypesRef = useRef({ prevType: null, currentType: null, nextType: null });
+  // Read when a transition starts, so changing it never restarts the input wiring
+  const reducedMotionRef = useRef(reducedMotion);
+  reducedMotionRef.current = reducedMotion;
+
   // Touch tracking
   const touchStartYRef = useRef(null);
 
+  // "lat,lon" of the forecast currently loaded
+  const loadedLocationRef = useRef(null);
+
   // ── GPS on mount ────────────────────────────────────────────────
   useEffect(() => {
     if (!navigator.geolocation) return;
@@ -66,36 +105,133 @@ export default function App() {
     );
   }, []);
 
-  // ── Fetch weather ────────────────────────────────────────────────
+  // ── Fetch weather (stale-while-revalidate) ──────────────────────
+  // Paint the cached forecast for this location immediately, then refresh
+  // from the network. ErrorScreen only appears when there's nothing cached.
   useEffect(() => {
+    let cancelled = false;
+
+    // A reconnect/retry refetches in place; only a new location resets the view
+    const locationKey   = `${location.lat},${location.lon}`;
+    const isNewLocation = loadedLocationRef.current !== locationKey;
+    loadedLocationRef.current = locationKey;
+
     async function load() {
-      setLoading(true);
       setError(null);
-      activeDayRef.current = 0;
-      progressRef.current  = 0;
-      setActiveDay(0);
-      setScrollProgress(0);
+      if (isNewLocation) {
+        setLoading(true);
+        announcedDayRef.current = 0; // a new place isn't a day change
+        activeDayRef.current = 0;
+        progressRef.current  = 0;
+        setActiveDay(0);
+        setScrollProgress(0);
+      }
+
+      const cached = await readCachedForecast(location.lat, location.lon);
+      if (cancelled) return;
+      if (cached) {
+        setWeatherDays(processWeatherDays(cached.data));
+        setLastUpdated(cached.fetchedAt);
+        setLoading(false);
+      }
+
       try {
         const raw  = await fetchWeatherData(location.lat, location.lon);
-        const days = processWeatherDays(raw);
-        setWeatherDays(days);
+        if (cancelled) return;
+        const fetchedAt = Date.now();
+        setWeatherDays(processWeatherDays(raw));
+        setLastUpdated(fetchedAt);
+        setIsOffline(false);
+        writeCachedForecast(location.lat, location.lon, raw, fetchedAt);
       } catch (e) {
-        setError(e.message);
+        if (cancelled) return;
+        if (cached) {
+          setIsOffline(true);
+        } else {
+          loadedLocationRef.current = null; // retry should start from scratch
+          setError(e.message);
+        }
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     }
     load();
-  }, [location.lat, location.lon]);
+    return () => { cancelled = true; };
+  }, [location.lat, location.lon, refreshToken]);
+
+  // ── Frames manifest (feeds the transition graph) ────────────────
+  useEffect(() => {
+    loadFramesManifest().then(setManifestLoaded);
+  }, []);
+
+  // ── Persist unit preference ──────────────────────────────────────
+  useEffect(() => {
+    saveUnits(units);
+  }, [units]);
+
+  // ── Persist sound preference ─────────────────────────────────────
+  useEffect(() => {
+    saveSoundPreference(sound);
+  }, [sound]);
+
+  // ── Persist motion preference ────────────────────────────────────
+  useEffect(() => {
+    saveMotionPreference(motion);
+  }, [motion]);
+
+  // ── Minute clock for the day/night scene variant ─────────────────
+  useEffect(() => {
+    const id = setInterval(() => setClock(Date.now()), 60000);
+    return () => clearInterval(id);
+  }, []);
+
+  // ── Revalidate when the connection comes back ────────────────────
+  useEffect(() => {
+    function onOnline() { setRefreshToken((t) => t + 1); }
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, []);
+
+  // ── Reset the hour scrubber whenever the day changes ────────────
+  useEffect(() => {
+    setActiveHour(null);
+  }, [activeDay, location.lat, location.lon]);
+
+  // ── Announce day changes ─────────────────────────────────────────
+  // Once per landing: a multi-day jump only announces the day it ends on
+  // (a refresh or units change on the same day stays quiet)
+  useEffect(() => {
+    if (hopTarget != null || activeDay === announcedDayRef.current) return;
+    const day = weatherDays[activeDay];
+    if (!day) return;
+    announcedDayRef.current = activeDay;
+    setAnnouncement(describeDay(day, units));
+  }, [activeDay, hopTarget, weatherDays, units]);
+
+  // ── Day / hop bookkeeping ────────────────────────────────────────
+  const setHop = useCallback((day) => {
+    hopTargetRef.current = day;
+    setHopTarget(day);
+  }, []);
+
+  // Land on `day` with progress reset to 0
+  const commitDay = useCallback((day) => {
+    activeDayRef.current = day;
+    progressRef.current  = 0;
+    setHop(null);
+    setActiveDay(day);
+    setScrollProgress(0);
+  }, [setHop]);
 
   // ── Core animation loop ──────────────────────────────────────────
-  // Animates progressRef from animFromRef → animTargetRef over TRANSITION_DURATION ms
+  // Animates progressRef from animFromRef → animTargetRef over the transition's duration
   // When it reaches 1.0, advances activeDayRef and resets progress to 0
   const runAnimation = useCallback((timestamp) => {
     if (!animStartRef.current) animStartRef.current = timestamp;
     const elapsed  = timestamp - animStartRef.current;
-    const rawT     = Math.min(elapsed / TRANSITION_DURATION, 1);
-    const easedT   = easeInOut(rawT);
+    const { duration, ease } = animTimingRef.current;
+    const rawT     = Math.min(elapsed / duration, 1);
+    const easedT   = ease(rawT);
     const from     = animFromRef.current;
     const target   = animTargetRef.current;
     const newProg  = from + (target - from) * easedT;
@@ -112,83 +248,243 @@ export default function App() {
     isAnimatingRef.current = false;
     animRef.current = null;
 
-    if (target === 1) {
-      // Advance to next day, reset progress
-      const nextDay = activeDayRef.current + 1;
-      activeDayRef.current = nextDay;
-      progressRef.current  = 0;
-      setActiveDay(nextDay);
-      setScrollProgress(0);
+    if (target === 1 || target === -1) {
+      // Step to the next/previous day (or the hop's landing day), reset progress
+      commitDay(hopTargetRef.current ?? activeDayRef.current + target);
+
+      // Mid-jump: roll straight into the next hop
+      const hop = jumpQueueRef.current.shift();
+      if (hop) {
+        setHop(hop.to);
+        animTimingRef.current  = hop.timing;
+        animFromRef.current    = 0;
+        animTargetRef.current  = Math.sign(hop.to - activeDayRef.current);
+        animStartRef.current   = null;
+        isAnimatingRef.current = true;
+        animRef.current = requestAnimationFrame(runAnimation);
+      }
     } else {
       // Snapped back to start — already at 0
       progressRef.current = 0;
       setScrollProgress(0);
+      setHop(null);
     }
+  }, [commitDay, setHop]);
+
+  // ── Animate progress to a target ─────────────────────────────────
+  // target: 1 = next day, -1 = previous day, 0 = back to the current day
+  const animateTo = useCallback((target, timing) => {
+    cancelAnimationFrame(animRef.current);
+    animTimingRef.current  = timing;
+    animFromRef.current    = progressRef.current;
+    animTargetRef.current  = target;
+    animStartRef.current   = null;
+    isAnimatingRef.current = true;
+    animRef.current = requestAnimationFrame(runAnimation);
+  }, [runAnimation]);
+
+  // Manifest timing for the transition towards `direction` (1 or -1)
+  const timingToward = useCallback((direction) => {
+    // Forward: progress 0 → 1 then advance day
+    // Backward: progress 0 → -1 then step back a day
+    // (the scene plays the same transition mirrored — see WeatherScene)
+    if (reducedMotionRef.current) return CALM_TRANSITION;
+    const { prevType, currentType, nextType } = sceneTypesRef.current;
+    const targetType = direction > 0 ? nextType : prevType;
+    return resolveTransitionTiming(currentType, targetType);
   }, []);
 
   // ── Start a controlled transition ───────────────────────────────
   // direction: 1 = go to next day, -1 = go to previous day
   const triggerTransition = useCallback((direction, numDays) => {
-    const day   = activeDayRef.current;
-    const total = numDays;
+    const day = activeDayRef.current;
+    const canMove = direction > 0 ? day < numDays - 1 : day > 0;
+    if (!canMove) return;
+    jumpQueueRef.current = [];
+    setHop(null);
+    animateTo(direction > 0 ? 1 : -1, timingToward(direction));
+  }, [animateTo, timingToward, setHop]);
+
+  // ── Jump to any day (dots, forecast strip) ──────────────────────
+  // Plays the chain of transitions between here and there, fast — or, with
+  // reduced motion, one crossfade straight to the day
+  const jumpToDay = useCallback((index) => {
+    const from = activeDayRef.current;
+    if (index === from) return;
 
     cancelAnimationFrame(animRef.current);
+    progressRef.current = 0;
+    setScrollProgress(0);
 
-    if (direction > 0 && day < total - 1) {
-      // Forward: animate progress 0 → 1 then advance day
-      animFromRef.current    = progressRef.current;
-      animTargetRef.current  = 1;
-      animStartRef.current   = null;
-      isAnimatingRef.current = true;
-      animRef.current = requestAnimationFrame(runAnimation);
-    } else if (direction < 0 && day > 0) {
-      // Backward: immediately jump to previous day at progress=0
-      // (user has full control going back — instant, no hijack)
-      activeDayRef.current = day - 1;
-      progressRef.current  = 0;
-      setActiveDay(day - 1);
-      setScrollProgress(0);
+    if (reducedMotionRef.current) {
+      jumpQueueRef.current = [];
+      setHop(index);
+      animateTo(Math.sign(index - from), CALM_TRANSITION);
+      return;
     }
-  }, [runAnimation]);
+
+    const types = weatherDays.map((d) => getWeatherType(d));
+    types[from] = sceneTypesRef.current.currentType ?? types[from];
+    const hops = planJumpHops(types, from, index).map((hop) => ({
+      ...hop,
+      timing: resolveTransitionTiming(hop.fromType, hop.toType),
+    }));
+
+    // Squeeze into MAX_JUMP_MS; chained hops ease in at the start and out
+    // at the end so the whole jump reads as one motion
+    const total = hops.reduce((sum, hop) => sum + hop.timing.duration, 0);
+    const scale = Math.min(1, MAX_JUMP_MS / total);
+    hops.forEach((hop, i) => {
+      const ease = hops.length === 1 ? hop.timing.ease
+        : i === 0 ? EASINGS.easeIn
+        : i === hops.length - 1 ? EASINGS.easeOut
+        : EASINGS.linear;
+      hop.timing = { duration: hop.timing.duration * scale, ease };
+    });
+
+    const [first, ...rest] = hops;
+    jumpQueueRef.current = rest;
+    setHop(first.to);
+    animateTo(Math.sign(first.to - from), first.timing);
+  }, [weatherDays, animateTo, setHop]);
+
+  // ── Direct manipulation ──────────────────────────────────────────
+  // Move progress by `delta` under the user's finger/wheel, clamped to the
+  // days that exist. Reaching ±1 commits the day change right away.
+  // Returns true if a day was committed.
+  const scrubBy = useCallback((delta, numDays) => {
+    if (isAnimatingRef.current) {
+      // Grab a running transition mid-flight
+      cancelAnimationFrame(animRef.current);
+      animRef.current = null;
+      isAnimatingRef.current = false;
+    }
+    // Scrubbing cancels the rest of a multi-day jump; the hop under the
+    // finger keeps its landing day unless dragged back past its start
+    jumpQueueRef.current = [];
+    const day = activeDayRef.current;
+    const min = day > 0 ? -1 : 0;
+    const max = day < numDays - 1 ? 1 : 0;
+    const progress = Math.max(min, Math.min(max, progressRef.current + delta));
+    const hop = hopTargetRef.current;
+    if (hop != null && Math.sign(progress) !== Math.sign(hop - day)) setHop(null);
+
+    if (Math.abs(progress) >= 1) {
+      commitDay(hopTargetRef.current ?? day + Math.sign(progress));
+      return true;
+    }
+    progressRef.current = progress;
+    setScrollProgress(progress);
+    return false;
+  }, [commitDay, setHop]);
+
+  // Let go mid-transition: snap to whichever end the momentum points at.
+  // `velocity` is in progress per ms; the snap starts at roughly that speed.
+  const releaseScrub = useCallback((velocity) => {
+    const progress = progressRef.current;
+    if (progress === 0) return;
+
+    const projected = progress + velocity * MOMENTUM_MS;
+    const target = Math.abs(projected) >= 0.5 ? Math.sign(progress) : 0;
+    const { duration: fullDuration } = timingToward(Math.sign(progress));
+
+    // Remaining share of a full transition, sped up to match a flick
+    // (an ease-out cubic starts at 3× its average speed)
+    const distance = Math.abs(target - progress);
+    let duration = fullDuration * distance;
+    if (velocity !== 0 && Math.sign(velocity) === Math.sign(target - progress)) {
+      duration = Math.min(duration, (3 * distance) / Math.abs(velocity));
+    }
+    animateTo(target, { duration: Math.max(MIN_SNAP_MS, duration), ease: EASINGS.easeOut });
+  }, [animateTo, timingToward]);
 
   // ── Input event wiring ───────────────────────────────────────────
   useEffect(() => {
     if (weatherDays.length === 0) return;
     const total = weatherDays.length;
 
-    // --- Wheel ---
-    let wheelAccum = 0;
+    // --- Wheel / trackpad ---
+    // Deltas scrub progress directly. A trackpad flick keeps sending
+    // shrinking deltas after the fingers lift (OS inertia); once that tail
+    // is detected we take over with our own momentum snap and ignore the
+    // rest of it, so one flick moves at most one day.
+    const wheelVelocity = createVelocityTracker();
     let wheelTimer = null;
+    let wheelLocked = false;     // ignoring an inertia tail
+    let lastWheelTime = 0;
+    let lastWheelDelta = 0;
+    let shrinkingRun = 0;
+
+    function releaseWheel() {
+      clearTimeout(wheelTimer);
+      releaseScrub(wheelVelocity.velocity());
+      wheelVelocity.reset();
+    }
 
     function onWheel(e) {
       e.preventDefault();
+      const now   = performance.now();
+      const delta = wheelDeltaPx(e);
+      const size  = Math.abs(delta);
+      const gap   = now - lastWheelTime;
+      const grew  = size > lastWheelDelta * INERTIA_RESTART_RATIO;
+      shrinkingRun = size < lastWheelDelta && gap < INERTIA_GAP_MS ? shrinkingRun + 1 : 0;
+      lastWheelTime  = now;
+      lastWheelDelta = size;
+
+      if (wheelLocked) {
+        if (gap < INERTIA_GAP_MS && !grew) return;
+        wheelLocked = false;     // a fresh gesture
+        shrinkingRun = 0;
+      }
 
-      // Don't stack transitions — if already animating forward, ignore
-      if (isAnimatingRef.current) return;
-
-      wheelAccum += e.deltaY;
-      clearTimeout(wheelTimer);
-      wheelTimer = setTimeout(() => { wheelAccum = 0; }, 200);
+      if (scrubBy(delta / (window.innerHeight * SCRUB_DISTANCE), total)) {
+        // Crossed into the next day — the rest of this gesture is spent
+        clearTimeout(wheelTimer);
+        wheelVelocity.reset();
+        wheelLocked = true;
+        return;
+      }
+      wheelVelocity.add(progressRef.current, now);
 
-      if (Math.abs(wheelAccum) >= WHEEL_THRESHOLD) {
-        const dir = wheelAccum > 0 ? 1 : -1;
-        wheelAccum = 0;
-        triggerTransition(dir, total);
+      if (shrinkingRun >= INERTIA_RUN) {
+        releaseWheel();
+        wheelLocked = true;
+        return;
       }
+      clearTimeout(wheelTimer);
+      wheelTimer = setTimeout(releaseWheel, WHEEL_RELEASE_MS);
     }
 
     // --- Touch ---
+    // Dragging moves the scene with the finger; lifting it snaps
+    const touchVelocity = createVelocityTracker();
+    let touchLocked = false;     // this drag already crossed a day
+
     function onTouchStart(e) {
       touchStartYRef.current = e.touches[0].clientY;
+      touchLocked = false;
+      touchVelocity.reset();
+    }
+
+    function onTouchMove(e) {
+      if (touchStartYRef.current === null || touchLocked) return;
+      const y = e.touches[0].clientY;
+      const delta = touchStartYRef.current - y;
+      touchStartYRef.current = y;
+      if (scrubBy(delta / (window.innerHeight * SCRUB_DISTANCE), total)) {
+        touchLocked = true;
+        touchVelocity.reset();
+        return;
+      }
+      touchVelocity.add(progressRef.current);
     }
 
-    function onTouchEnd(e) {
+    function onTouchEnd() {
       if (touchStartYRef.current === null) return;
-      const delta = touchStartYRef.current - e.changedTouches[0].clientY;
       touchStartYRef.current = null;
-      if (Math.abs(delta) < 40) return; // too small a swipe
-      if (isAnimatingRef.current) return;
-      triggerTransition(delta > 0 ? 1 : -1, total);
+      if (!touchLocked) releaseScrub(touchVelocity.velocity());
+      touchVelocity.reset();
     }
 
     // --- Keyboard ---
@@ -205,18 +501,20 @@ export default function App() {
 
     window.addEventListener("wheel",      onWheel,      { passive: false });
     window.addEventListener("touchstart", onTouchStart, { passive: true  });
+    window.addEventListener("touchmove",  onTouchMove,  { passive: true  });
     window.addEventListener("touchend",   onTouchEnd,   { passive: true  });
     window.addEventListener("keydown",    onKeyDown);
 
     return () => {
       window.removeEventListener("wheel",      onWheel);
       window.removeEventListener("touchstart", onTouchStart);
+      window.removeEventListener("touchmove",  onTouchMove);
       window.removeEventListener("touchend",   onTouchEnd);
       window.removeEventListener("keydown",    onKeyDown);
       cancelAnimationFrame(animRef.current);
       clearTimeout(wheelTimer);
     };
-  }, [weatherDays.length, triggerTransition]);
+  }, [weatherDays.length, triggerTransition, scrubBy, releaseScrub]);
 
   // ── Lock body scroll (we drive everything ourselves) ─────────────
   useEffect(() => {
@@ -225,23 +523,65 @@ export default function App() {
   }, []);
 
   // ── Render ───────────────────────────────────────────────────────
-  if (error) return <ErrorScreen message={error} onRetry={() => setLocation({ ...location })} />;
+  if (error) return <ErrorScreen message={error} onRetry={() => setRefreshToken((t) => t + 1)} />;
 
   const currentDay = weatherDays[activeDay];
   const nextDay    = weatherDays[Math.min(activeDay + 1, weatherDays.length - 1)];
-  const currentType  = currentDay ? getWeatherType(currentDay.weatherCode) : "sunny";
-  const nextType     = nextDay    ? getWeatherType(nextDay.weatherCode)    : currentType;
-  const transitionKey  = getTransitionKey(currentType, nextType);
-  const isTransitioning = scrollProgress > 0.001 && activeDay < weatherDays.length - 1;
+  const prevDay    = weatherDays[Math.max(activeDay - 1, 0)];
+  // Mid-jump, the running transition leads to the hop's landing day instead
+  const hopDay     = hopTarget != null ? weatherDays[hopTarget] : null;
+  const currentHour = activeHour != null ? currentDay?.hourly?.[activeHour] : null;
+  const currentType  = currentDay ? getWeatherType(currentHour ?? currentDay) : "sunny";
+  const nextType     = nextDay    ? getWeatherType(nextDay)                  : currentType;
+  const prevType     = prevDay    ? getWeatherType(prevDay)                  : currentType;
+  // Negative progress means we're heading back to the previous day
+  const direction    = scrollProgress < 0 ? -1 : 1;
+  const targetDay    = hopDay ?? (direction > 0 ? nextDay : prevDay);
+  const targetType   = hopDay ? getWeatherType(hopDay) : direction > 0 ? nextType : prevType;
+  // How the scene plays it: frames (direct/reversed/two-leg route) or a crossfade
+  const transition     = resolveTransition(currentType, targetType);
+  // The transition after this one, in the direction of travel — its frames
+  // stay pinned in the cache
+  const followingDay = weatherDays[activeDay + 2 * direction];
+  const upcomingType = followingDay ? getWeatherType(followingDay) : null;
+  const upcomingTransition = upcomingType ? resolveTransition(targetType, upcomingType) : null;
+  // How hard it rains/blows, for the procedural scene. Hours carry no
+  // wind direction of their own, so they borrow the day's.
+  const currentIntensity = currentDay
+    ? getWeatherIntensity(currentHour ? { windDirection: currentDay.windDirection, ...currentHour } : currentDay)
+    : undefined;
+  const targetIntensity = targetDay ? getWeatherIntensity(targetDay) : currentIntensity;
+  sceneTypesRef.current = { prevType, currentType, nextType };
+  // Only today follows the live clock; other days are always daytime
+  const nightAmount    = getNightAmount(currentDay, new Date(clock));
+  const isTransitioning = Math.abs(scrollProgress) > 0.001
+    && (direction > 0 ? activeDay < weatherDays.length - 1 : activeDay > 0);
+  const progress = isTransitioning ? Math.abs(scrollProgress) : 0;
 
   return (
-    <div className="fixed-scene">
+    <div className={`fixed-scene ${reducedMotion ? "reduced-motion" : ""}`}>
       <WeatherScene
         currentType={currentType}
-        nextType={nextType}
-        transitionKey={transitionKey}
-        scrollProgress={isTransitioning ? scrollProgress : 0}
+        nextType={targetType}
+        direction={direction}
+        transition={transition}
+        upcomingTransition={upcomingTransition}
+        scrollProgress={progress}
         isTransitioning={isTransitioning}
+        nightAmount={nightAmount}
+        intensity={currentIntensity}
+        nextIntensity={targetIntensity}
+        reducedMotion={reducedMotion}
+      />
+
+      <AmbientSound
+        enabled={sound === "on"}
+        type={currentType}
+        nextType={targetType}
+        progress={progress}
+        intensity={currentIntensity}
+        nextIntensity={targetIntensity}
+        night={nightAmount}
       />
 
       <div className="scene-gradient" />
@@ -254,6 +594,22 @@ export default function App() {
         />
       </div>
 
+      {/* Settings */}
+      <div className="settings-anchor">
+        <SettingsMenu
+          units={units}
+          onUnitsChange={setUnits}
+          quality={qualityPreference}
+          autoQuality={autoQualityTier}
+          onQualityChange={setQualityPreference}
+          sound={sound}
+          onSoundChange={setSound}
+          motion={motion}
+          systemReducedMotion={systemReducedMotion}
+          onMotionChange={setMotion}
+        />
+      </div>
+
       {/* Loading overlay */}
       {loading && (
         <div className="loading-overlay">
@@ -266,19 +622,19 @@ export default function App() {
       {!loading && currentDay && (
         <WeatherCard
           day={currentDay}
-          nextDay={nextDay}
+          nextDay={targetDay}
           location={location.name}
-          scrollProgress={isTransitioning ? scrollProgress : 0}
+          lastUpdated={lastUpdated}
+          isOffline={isOffline}
+          units={units}
+          scrollProgress={progress}
           isTransitioning={isTransitioning}
           allDays={weatherDays}
           activeDay={activeDay}
-          onDaySelect={(i) => {
-            // Dot nav: jump directly (no animation, feels like teleport)
-            activeDayRef.current = i;
-            progressRef.current  = 0;
-            setActiveDay(i);
-            setScrollProgress(0);
-          }}
+          activeHour={activeHour}
+          onHourSelect={setActiveHour}
+          onDaySelect={jumpToDay}
+          reducedMotion={reducedMotion}
         />
       )}
 
@@ -292,22 +648,23 @@ export default function App() {
 
       {/* Day dots */}
       {!loading && (
-        <div className="day-dots">
+        <nav className="day-dots" aria-label="Days">
           {weatherDays.map((d, i) => (
-            <div
+            <button
               key={i}
+              type="button"
+              aria-current={i === activeDay ? "date" : undefined}
+              aria-label={getDayLabel(d)}
               className={`day-dot ${i === activeDay ? "active" : ""}`}
               title={d.dayName}
-              onClick={() => {
-                activeDayRef.current = i;
-                progressRef.current  = 0;
-                setActiveDay(i);
-                setScrollProgress(0);
-              }}
+              onClick={() => jumpToDay(i)}
             />
           ))}
-        </div>
+        </nav>
       )}
+
+      {/* Screen reader announcements */}
+      <p className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</p>
     </div>
   );
 }
@@ -19,6 +19,7 @@ const SplitText = ({
   rootMargin = '-100px',
   textAlign = 'center',
   tag = 'h3',
+  animate = true,
   onLetterAnimationComplete
 }) => {
   const ref = useRef(null);
@@ -43,7 +44,8 @@ const SplitText = ({
 
   useGSAP(
     () => {
-      if (!ref.current || !text || !fontsLoaded) return;
+      // Not animating (reduced motion): the text renders as-is
+      if (!ref.current || !text || !fontsLoaded || !animate) return;
       // Prevent re-animation if already completed
       if (animationCompletedRef.current) return;
       const el = ref.current;
@@ -139,7 +141,8 @@ const SplitText = ({
         JSON.stringify(to),
         threshold,
         rootMargin,
-        fontsLoaded
+        fontsLoaded,
+        animate
       ],
       scope: ref
     }
@@ -152,7 +155,7 @@ const SplitText = ({
       display: 'inline-block',
       whiteSpace: 'normal',
       wordWrap: 'break-word',
-      willChange: 'transform, opacity'
+      willChange: animate ? 'transform, opacity' : 'auto'
     };
     const classes = `split-parent ${className}`;
     const Tag = tag || 'p';
@@ -0,0 +1,63 @@
+import { useEffect, useRef } from "react";
+import { createSoundscape, mixLevels, soundLevels } from "../utils/soundscape";
+
+/**
+ * AmbientSound
+ *
+ * Plays the procedural soundscape (see utils/soundscape.js) for the scene
+ * on screen while `enabled`, crossfading between the current and next
+ * day's sound with transition progress. Renders nothing.
+ *
+ * Fades out and suspends while the tab is hidden. The audio context is
+ * created when sound is switched on; if the browser holds it back until
+ * the user interacts (e.g. sound was left on from a previous visit), the
+ * first tap, key or wheel starts it.
+ */
+export default function AmbientSound({
+  enabled,
+  type,
+  nextType,
+  progress = 0,
+  intensity,
+  nextIntensity,
+  night = 0,
+}) {
+  const soundscapeRef = useRef(null);
+
+  // ── Start / stop ─────────────────────────────────────────────────
+  useEffect(() => {
+    if (!enabled || !(window.AudioContext || window.webkitAudioContext)) return;
+    const soundscape = createSoundscape();
+    soundscapeRef.current = soundscape;
+
+    const wake = () => { if (!document.hidden) soundscape.resume(); };
+    const onVisibility = () => (document.hidden ? soundscape.pause() : soundscape.resume());
+    const gestures = ["pointerdown", "keydown", "wheel", "touchend"];
+
+    gestures.forEach((name) => window.addEventListener(name, wake, { passive: true }));
+    document.addEventListener("visibilitychange", onVisibility);
+    if (document.hidden) soundscape.pause();
+
+    return () => {
+      gestures.forEach((name) => window.removeEventListener(name, wake));
+      document.removeEventListener("visibilitychange", onVisibility);
+      soundscape.dispose();
+      soundscapeRef.current = null;
+    };
+  }, [enabled]);
+
+  // ── Follow the scene ─────────────────────────────────────────────
+  // The next day is always heard by daylight, as it's always shown that way
+  const levels = mixLevels(
+    soundLevels(type, intensity, night),
+    soundLevels(nextType ?? type, nextIntensity ?? intensity, 0),
+    progress
+  );
+  const levelsKey = Object.values(levels).map((v) => v.toFixed(3)).join(",");
+
+  useEffect(() => {
+    soundscapeRef.current?.setLevels(levels);
+  }, [enabled, levelsKey]);
+
+  return null;
+}
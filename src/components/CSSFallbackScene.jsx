@@ -1,58 +1,160 @@
 import { useEffect, useRef } from "react";
-import { WEATHER_META } from "../utils/weatherTypes";
 
 /**
  * CSSFallbackScene
- * 
+ *
  * Beautiful animated CSS backgrounds used when video frames aren't available.
  * These serve as a high-quality placeholder during development, or as a
  * permanent fallback.
+ *
+ * One render loop runs for the component's lifetime and reads type, next
+ * type, progress and night from a ref, so scrubbing never restarts it.
+ * Particles carry their own kind: during a transition the current type's
+ * particles fade out as the next type's fade in, in proportion to
+ * progress, and whoever is on screen when the day changes simply stays.
+ * The loop pauses while the tab is hidden, and sheds particles when frames
+ * run long.
+ *
+ * Scenes follow the forecast's intensity (see getWeatherIntensity):
+ * heavier precipitation means denser, faster rain and snow, wind slants and
+ * pushes everything downwind and thickens the windy streaks, and fog codes
+ * set how opaque the fog is. Intensities ease towards their new values, so
+ * hour previews and transitions never jolt the particles.
+ *
+ * `still` (reduced motion) freezes the scene: particles hold their places,
+ * the sun and stars stop turning and twinkling, there's no lightning, and
+ * changes land at once. The loop then draws once per render and sleeps.
  */
-export default function CSSFallbackScene({ type, nextType, progress = 0 }) {
+
+// Particles per type at full budget
+const PARTICLE_COUNTS = {
+  sunny: 0,
+  cloudy: 8,
+  rainy: 200,
+  snowy: 150,
+  windy: 60,
+  foggy: 12,
+  stormy: 320,
+  partly_cloudy: 5,
+};
+
+// Particles fade in/out over this long as the population changes
+const FADE_MS = 500;
+
+// Intensity used when none is passed in: a middling day
+const DEFAULT_INTENSITY = { severity: 0.5, precipitation: 0.5, wind: 0.2, windDirection: 270 };
+// Live intensities close this share of the gap to their target per second
+const INTENSITY_EASE_PER_SEC = 2;
+// Horizontal drift at full wind, in px per 60fps frame
+const RAIN_WIND_DRIFT  = 6;
+const STORM_WIND_DRIFT = 10;
+const SNOW_WIND_DRIFT  = 2.5;
+
+// Backing store resolution is capped here — beyond 2× nobody can tell
+const MAX_DPR = 2;
+
+// ── Particle budget ────────────────────────────────────────────────
+// The share of PARTICLE_COUNTS drawn follows the average frame time:
+// slower than SLOW_FRAME_MS sheds particles, faster than FAST_FRAME_MS
+// adds them back, re-evaluated every BUDGET_INTERVAL_MS.
+const SLOW_FRAME_MS = 1000 / 50;
+const FAST_FRAME_MS = 1000 / 57;
+const BUDGET_INTERVAL_MS = 500;
+const MIN_BUDGET = 0.2;
+
+export default function CSSFallbackScene({
+  type,
+  nextType,
+  progress = 0,
+  night = 0,
+  intensity = DEFAULT_INTENSITY,
+  nextIntensity = intensity,
+  still = false,
+}) {
   const canvasRef = useRef(null);
-  const animRef = useRef(null);
-  const particlesRef = useRef([]);
+  // Latest props, read by the render loop every frame
+  const sceneRef = useRef({ type, nextType, progress, night, intensity, nextIntensity, still });
+  sceneRef.current = { type, nextType, progress, night, intensity, nextIntensity, still };
+  // Restarts a sleeping (still) loop so it draws the new props
+  const wakeRef = useRef(null);
+
+  useEffect(() => {
+    wakeRef.current?.();
+  });
 
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext("2d");
 
+    // Drawing happens in CSS pixels; the transform maps them to the backing store
+    let w = 0, h = 0;
     function resize() {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
+      const dpr = Math.min(window.devicePixelRatio || 1, MAX_DPR);
+      w = canvas.clientWidth || window.innerWidth;
+      h = canvas.clientHeight || window.innerHeight;
+      canvas.width  = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     }
     resize();
-    window.addEventListener("resize", resize);
+    // Resizing clears the canvas, so a sleeping loop has to draw again
+    const onResize = () => { resize(); start(); };
+    window.addEventListener("resize", onResize);
 
-    // Initialize particles based on weather type
-    particlesRef.current = initParticles(type, canvas.width, canvas.height);
+    const particles = [];
+    const storm = { flash: 0, restrikes: 0, bolt: null };
+    const budget = { share: 1, avgFrameMs: 1000 / 60, checkedAt: 0 };
+    const weather = toLiveIntensity(sceneRef.current.intensity);
+    let raf = null;
+    let last = null;
 
-    let frame = 0;
-    function draw() {
-      frame++;
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    function tick(now) {
+      const { type, nextType, progress, night, intensity, nextIntensity, still } = sceneRef.current;
+      // Time step in 60fps frames, so motion speed doesn't depend on refresh rate.
+      // Still, nothing moves and fades and easing complete in one go.
+      const elapsed = still ? FADE_MS : last == null ? 1000 / 60 : Math.min(100, now - last);
+      const step = still ? 0 : elapsed / (1000 / 60);
+      last = now;
+      if (!still) updateBudget(budget, elapsed, now);
 
-      // Draw gradient background
-      const fromMeta = WEATHER_META[type];
-      const toMeta = WEATHER_META[nextType] || fromMeta;
+      easeIntensity(weather, toLiveIntensity(intensity, nextIntensity, progress), elapsed);
 
-      // Interpolate gradients based on scroll progress
-      drawBackground(ctx, canvas, type, nextType, progress);
+      ctx.clearRect(0, 0, w, h);
+      drawBackground(ctx, w, h, type, nextType, progress, night, still ? 0 : now / 1000);
 
-      // Draw particles
-      updateAndDrawParticles(ctx, particlesRef.current, type, canvas.width, canvas.height, frame);
+      const target = targetCounts(type, nextType, progress, budget.share, intensity, nextIntensity);
+      morphParticles(particles, target, w, h, elapsed);
+      updateAndDrawParticles(ctx, particles, w, h, step, weather);
 
-      animRef.current = requestAnimationFrame(draw);
+      // Lightning sits on top of the rain so the flash lights up everything
+      if (type === "stormy" && !still) drawLightning(ctx, w, h, storm, step, 0.4 + weather.severity);
+
+      raf = still ? null : requestAnimationFrame(tick);
     }
 
-    draw();
+    function start() {
+      if (raf != null) return;
+      last = null;
+      raf = requestAnimationFrame(tick);
+    }
+    function stop() {
+      cancelAnimationFrame(raf);
+      raf = null;
+    }
+    const onVisibility = () => (document.hidden ? stop() : start());
+
+    document.addEventListener("visibilitychange", onVisibility);
+    if (!document.hidden) start();
+    wakeRef.current = () => { if (!document.hidden) start(); };
 
     return () => {
-      cancelAnimationFrame(animRef.current);
-      window.removeEventListener("resize", resize);
+      stop();
+      wakeRef.current = null;
+      window.removeEventListener("resize", onResize);
+      document.removeEventListener("visibilitychange", onVisibility);
     };
-  }, [type, nextType, progress]);
+  }, []);
 
   return (
     <canvas
@@ -62,6 +164,104 @@ export default function CSSFallbackScene({ type, nextType, progress = 0 }) {
   );
 }
 
+// ── Population ─────────────────────────────────────────────────────
+
+function updateBudget(budget, elapsed, now) {
+  budget.avgFrameMs += (elapsed - budget.avgFrameMs) * 0.1;
+  if (now - budget.checkedAt < BUDGET_INTERVAL_MS) return;
+  budget.checkedAt = now;
+  if (budget.avgFrameMs > SLOW_FRAME_MS) budget.share = Math.max(MIN_BUDGET, budget.share * 0.85);
+  else if (budget.avgFrameMs < FAST_FRAME_MS) budget.share = Math.min(1, budget.share * 1.05);
+}
+
+// How many particles of each kind should be on screen. Each side of a
+// transition brings its own type at its own intensity; between two days of
+// the same type the counts simply blend.
+function targetCounts(type, nextType, progress, share, intensity, nextIntensity) {
+  const target = {};
+  const add = (kind, weight, level) => {
+    const count = (PARTICLE_COUNTS[kind] ?? 0) * weight * share * density(kind, level);
+    target[kind] = (target[kind] ?? 0) + count;
+  };
+  add(type, 1 - progress, intensity);
+  add(nextType ?? type, progress, nextIntensity);
+  for (const kind in target) target[kind] = Math.round(target[kind]);
+  return target;
+}
+
+// Share of a type's particle count its intensity calls for
+function density(kind, { precipitation, wind }) {
+  switch (kind) {
+    case "rainy":
+    case "stormy":
+    case "snowy":
+      return 0.3 + 0.7 * precipitation;
+    case "windy":
+      return 0.4 + 0.6 * wind;
+    default:
+      return 1;
+  }
+}
+
+// ── Intensity ──────────────────────────────────────────────────────
+// The loop works with wind as a signed horizontal component (windX, −1 to
+// 1, positive = blowing to the right), which eases smoothly where an angle
+// would wrap around.
+
+function toLiveIntensity(intensity, nextIntensity = intensity, progress = 0) {
+  const windX = ({ wind, windDirection }) => -Math.sin((windDirection * Math.PI) / 180) * wind;
+  return {
+    severity:      lerp(intensity.severity, nextIntensity.severity, progress),
+    precipitation: lerp(intensity.precipitation, nextIntensity.precipitation, progress),
+    wind:          lerp(intensity.wind, nextIntensity.wind, progress),
+    windX:         lerp(windX(intensity), windX(nextIntensity), progress),
+  };
+}
+
+function easeIntensity(live, target, elapsed) {
+  const t = Math.min(1, (elapsed / 1000) * INTENSITY_EASE_PER_SEC);
+  for (const key in target) live[key] += (target[key] - live[key]) * t;
+}
+
+// Wrap an x position that has drifted off either side of the screen
+function wrapX(p, w, margin) {
+  if (p.x > w + margin) p.x = -margin;
+  else if (p.x < -margin) p.x = w + margin;
+}
+
+// Spawn missing particles and retire extra ones — both fading — so the
+// population drifts towards `target` instead of being rebuilt
+function morphParticles(particles, target, w, h, elapsed) {
+  const fadeStep = elapsed / FADE_MS;
+  const live = {};
+  for (const p of particles) if (!p.leaving) live[p.kind] = (live[p.kind] ?? 0) + 1;
+
+  for (const p of particles) {
+    if (p.leaving) continue;
+    if (live[p.kind] > (target[p.kind] ?? 0)) {
+      p.leaving = true;
+      live[p.kind]--;
+    }
+  }
+  for (const [kind, count] of Object.entries(target)) {
+    let missing = count - (live[kind] ?? 0);
+    // Scrubbing back and forth: bring back particles still fading out first
+    for (const p of particles) {
+      if (missing <= 0) break;
+      if (p.leaving && p.kind === kind) { p.leaving = false; missing--; }
+    }
+    for (; missing > 0; missing--) {
+      particles.push({ ...createParticle(kind, w, h), kind, fade: 0, leaving: false });
+    }
+  }
+
+  for (let i = particles.length - 1; i >= 0; i--) {
+    const p = particles[i];
+    p.fade = Math.max(0, Math.min(1, p.fade + (p.leaving ? -fadeStep : fadeStep)));
+    if (p.leaving && p.fade === 0) particles.splice(i, 1);
+  }
+}
+
 function lerp(a, b, t) {
   return a + (b - a) * t;
 }
@@ -104,12 +304,71 @@ const BG_COLORS = {
     [160, 170, 178],
     [195, 205, 210],
   ],
+  stormy: [
+    [14, 16, 28],
+    [32, 36, 56],
+    [20, 22, 36],
+  ],
+  partly_cloudy: [
+    [240, 160, 70],
+    [170, 190, 210],
+    [135, 200, 230],
+  ],
+};
+
+// Night palettes — same three stops, blended in by the `night` amount (0–1)
+const BG_COLORS_NIGHT = {
+  sunny: [
+    [8, 14, 38],
+    [18, 30, 66],
+    [34, 48, 90],
+  ],
+  cloudy: [
+    [18, 22, 32],
+    [34, 40, 54],
+    [50, 56, 72],
+  ],
+  rainy: [
+    [6, 12, 24],
+    [12, 22, 40],
+    [6, 14, 26],
+  ],
+  snowy: [
+    [40, 48, 70],
+    [62, 72, 98],
+    [88, 98, 124],
+  ],
+  windy: [
+    [14, 20, 30],
+    [26, 34, 46],
+    [36, 46, 60],
+  ],
+  foggy: [
+    [30, 36, 44],
+    [48, 54, 62],
+    [66, 72, 80],
+  ],
+  stormy: [
+    [4, 5, 12],
+    [12, 14, 26],
+    [6, 8, 16],
+  ],
+  partly_cloudy: [
+    [10, 16, 40],
+    [26, 36, 66],
+    [40, 52, 88],
+  ],
 };
 
-function drawBackground(ctx, canvas, type, nextType, progress) {
-  const w = canvas.width;
-  const h = canvas.height;
-  const fromColors = BG_COLORS[type] || BG_COLORS.cloudy;
+function mixPalette(dayColors, nightColors, night) {
+  if (!night || !nightColors) return dayColors;
+  return dayColors.map((stop, i) => stop.map((c, j) => lerp(c, nightColors[i][j], night)));
+}
+
+// `time` (seconds) drives the sun's turning and the stars' twinkle
+function drawBackground(ctx, w, h, type, nextType, progress, night = 0, time = 0) {
+  // Only the current day follows the clock — the next day is always shown by daylight
+  const fromColors = mixPalette(BG_COLORS[type] || BG_COLORS.cloudy, BG_COLORS_NIGHT[type], night);
   const toColors = BG_COLORS[nextType] || fromColors;
 
   const colors = fromColors.map((from, i) =>
@@ -123,16 +382,154 @@ function drawBackground(ctx, canvas, type, nextType, progress) {
   ctx.fillStyle = grad;
   ctx.fillRect(0, 0, w, h);
 
+  const clearSky = type === "sunny" || type === "partly_cloudy";
+  const fade = Math.max(0, 1 - progress * 2);
+
+  // Stars and moon take over from the sun on clear nights
+  if (clearSky && night > 0 && fade > 0) {
+    drawStars(ctx, w, h, night * fade, time);
+    drawMoon(ctx, w * 0.75, h * 0.2, night * fade);
+  }
+
   // Draw sun for sunny type
-  if (type === "sunny" && progress < 0.5) {
-    const alpha = 1 - progress * 2;
-    drawSun(ctx, w * 0.75, h * 0.2, alpha);
+  if (type === "sunny" && fade > 0 && night < 1) {
+    drawSun(ctx, w * 0.75, h * 0.2, fade * (1 - night), time);
   }
+
+  // Partly cloudy: a softer sun whose beams pulse as clouds drift past
+  if (type === "partly_cloudy" && fade > 0 && night < 1) {
+    const alpha = fade * (1 - night);
+    drawSunBeams(ctx, w * 0.72, h * 0.22, w, h, alpha, time);
+    drawSun(ctx, w * 0.72, h * 0.22, alpha * 0.85, time);
+  }
+}
+
+// Fixed star field in normalized coordinates, so stars don't jump on resize
+const STARS = Array.from({ length: 140 }, () => ({
+  x: Math.random(),
+  y: Math.random() * 0.65,
+  size: 0.4 + Math.random() * 1.2,
+  twinkle: Math.random() * Math.PI * 2,
+}));
+
+function drawStars(ctx, w, h, alpha, time) {
+  STARS.forEach((star) => {
+    const a = alpha * (0.5 + 0.5 * Math.sin(time * 1.5 + star.twinkle));
+    ctx.beginPath();
+    ctx.arc(star.x * w, star.y * h, star.size, 0, Math.PI * 2);
+    ctx.fillStyle = `rgba(235, 240, 255, ${a})`;
+    ctx.fill();
+  });
+}
+
+function drawMoon(ctx, x, y, alpha) {
+  const radius = 42;
+
+  const glow = ctx.createRadialGradient(x, y, 0, x, y, radius * 4);
+  glow.addColorStop(0, `rgba(200, 215, 255, ${0.18 * alpha})`);
+  glow.addColorStop(1, "rgba(200, 215, 255, 0)");
+  ctx.fillStyle = glow;
+  ctx.fillRect(x - radius * 4, y - radius * 4, radius * 8, radius * 8);
+
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = `rgba(235, 238, 250, ${alpha})`;
+  ctx.fill();
 }
 
-function drawSun(ctx, x, y, alpha) {
+function drawSunBeams(ctx, x, y, w, h, alpha, time) {
+  const length = Math.hypot(w, h);
+
+  ctx.save();
+  ctx.globalCompositeOperation = "lighter";
+  for (let i = 0; i < 7; i++) {
+    const angle = Math.PI * 0.55 + (i / 6) * Math.PI * 0.5 + Math.sin(time * 0.05 + i) * 0.02;
+    // Each beam brightens and fades on its own slow cycle, like breaks in the cloud
+    const strength = 0.5 + 0.5 * Math.sin(time * 0.4 + i * 1.7);
+    const spread = 0.035 + (i % 3) * 0.012;
+
+    const grad = ctx.createLinearGradient(x, y, x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+    grad.addColorStop(0, `rgba(255, 235, 170, ${0.16 * strength * alpha})`);
+    grad.addColorStop(1, "rgba(255, 235, 170, 0)");
+
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + Math.cos(angle - spread) * length, y + Math.sin(angle - spread) * length);
+    ctx.lineTo(x + Math.cos(angle + spread) * length, y + Math.sin(angle + spread) * length);
+    ctx.closePath();
+    ctx.fillStyle = grad;
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+function createBolt(w, h) {
+  const points = [];
+  let x = w * (0.15 + Math.random() * 0.7);
+  let y = 0;
+  const bottom = h * (0.55 + Math.random() * 0.3);
+  while (y < bottom) {
+    points.push([x, y]);
+    x += (Math.random() - 0.5) * 60;
+    y += 20 + Math.random() * 35;
+  }
+  points.push([x, bottom]);
+
+  // One short side branch off the upper half
+  const from = points[1 + Math.floor(Math.random() * (points.length / 2))] ?? points[0];
+  const branch = [from];
+  let [bx, by] = from;
+  const dir = Math.random() < 0.5 ? -1 : 1;
+  for (let i = 0; i < 4; i++) {
+    bx += dir * (15 + Math.random() * 30);
+    by += 15 + Math.random() * 25;
+    branch.push([bx, by]);
+  }
+
+  return { points, branch };
+}
+
+function strokePath(ctx, points) {
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+  ctx.stroke();
+}
+
+// `frequency` scales how often strikes come (1 ≈ one every few seconds)
+function drawLightning(ctx, w, h, storm, step = 1, frequency = 1) {
+  if (storm.flash <= 0) {
+    if (Math.random() > 0.005 * step * frequency) return;
+    storm.flash = 1;
+    storm.restrikes = Math.floor(Math.random() * 3);
+    storm.bolt = createBolt(w, h);
+  }
+
+  // Jittered alpha gives the stuttering, flickering look of a real strike
+  const alpha = storm.flash * (0.55 + Math.random() * 0.45);
+
+  ctx.fillStyle = `rgba(215, 220, 255, ${0.32 * alpha})`;
+  ctx.fillRect(0, 0, w, h);
+
+  ctx.save();
+  ctx.shadowColor = "rgba(190, 200, 255, 0.9)";
+  ctx.shadowBlur = 18;
+  ctx.strokeStyle = `rgba(245, 245, 255, ${alpha})`;
+  ctx.lineWidth = 2.5;
+  strokePath(ctx, storm.bolt.points);
+  ctx.lineWidth = 1.2;
+  strokePath(ctx, storm.bolt.branch);
+  ctx.restore();
+
+  storm.flash -= 0.07 * step;
+  if (storm.flash <= 0 && storm.restrikes > 0) {
+    storm.restrikes--;
+    storm.flash = 0.6 + Math.random() * 0.3;
+  }
+}
+
+function drawSun(ctx, x, y, alpha, time) {
   const radius = 80;
-  const now = Date.now() / 1000;
 
   // Glow
   const glow = ctx.createRadialGradient(x, y, 0, x, y, radius * 4);
@@ -151,7 +548,7 @@ function drawSun(ctx, x, y, alpha) {
   ctx.strokeStyle = `rgba(255, 220, 60, ${0.7 * alpha})`;
   ctx.lineWidth = 4;
   for (let i = 0; i < 12; i++) {
-    const angle = (i / 12) * Math.PI * 2 + now * 0.1;
+    const angle = (i / 12) * Math.PI * 2 + time * 0.1;
     const r1 = radius * 1.3;
     const r2 = radius * 1.7;
     ctx.beginPath();
@@ -161,20 +558,7 @@ function drawSun(ctx, x, y, alpha) {
   }
 }
 
-function initParticles(type, w, h) {
-  const count = {
-    sunny: 0,
-    cloudy: 8,
-    rainy: 200,
-    snowy: 150,
-    windy: 60,
-    foggy: 12,
-  }[type] || 0;
-
-  return Array.from({ length: count }, (_, i) => createParticle(type, w, h, i));
-}
-
-function createParticle(type, w, h, i) {
+function createParticle(type, w, h) {
   switch (type) {
     case "rainy":
       return {
@@ -184,6 +568,14 @@ function createParticle(type, w, h, i) {
         length: 15 + Math.random() * 20,
         alpha: 0.4 + Math.random() * 0.3,
       };
+    case "stormy":
+      return {
+        x: Math.random() * w,
+        y: Math.random() * h,
+        speed: 13 + Math.random() * 8,
+        length: 25 + Math.random() * 25,
+        alpha: 0.35 + Math.random() * 0.3,
+      };
     case "snowy":
       return {
         x: Math.random() * w,
@@ -203,6 +595,15 @@ function createParticle(type, w, h, i) {
         speed: 0.1 + Math.random() * 0.2,
         alpha: 0.4 + Math.random() * 0.3,
       };
+    case "partly_cloudy":
+      return {
+        x: Math.random() * (w + 400) - 200,
+        y: Math.random() * h * 0.45,
+        width: 180 + Math.random() * 260,
+        height: 50 + Math.random() * 70,
+        speed: 0.15 + Math.random() * 0.25,
+        alpha: 0.55 + Math.random() * 0.3,
+      };
     case "windy":
       return {
         x: Math.random() * w,
@@ -226,59 +627,83 @@ function createParticle(type, w, h, i) {
   }
 }
 
-function updateAndDrawParticles(ctx, particles, type, w, h, frame) {
+// `step` is the time since the last frame in 60fps frames; `weather` the
+// live intensity (see toLiveIntensity)
+function updateAndDrawParticles(ctx, particles, w, h, step, weather) {
+  const { precipitation, severity, wind, windX } = weather;
+  // Clouds, fog and wind streaks travel downwind (rightwards when calm)
+  const downwind = windX < 0 ? -1 : 1;
+
   particles.forEach((p) => {
-    switch (type) {
-      case "rainy": {
-        p.y += p.speed;
-        p.x += 1.5; // slight wind
-        if (p.y > h) { p.y = -p.length; p.x = Math.random() * w; }
+    const alpha = p.alpha * p.fade;
+    switch (p.kind) {
+      case "rainy":
+      case "stormy": {
+        // Storm rain is heavier, faster and more wind-driven than plain rain
+        const storm = p.kind === "stormy";
+        const fall  = p.speed * (0.75 + 0.5 * precipitation);
+        const drift = windX * (storm ? STORM_WIND_DRIFT : RAIN_WIND_DRIFT);
+        p.y += fall * step;
+        p.x += drift * step;
+        if (p.y > h) {
+          p.y = -p.length;
+          // Start upwind so slanted rain still covers the whole screen
+          p.x = Math.random() * w - (drift / fall) * h * Math.random();
+        }
+        wrapX(p, w, p.length);
         ctx.beginPath();
         ctx.moveTo(p.x, p.y);
-        ctx.lineTo(p.x + 3, p.y + p.length);
-        ctx.strokeStyle = `rgba(180, 210, 240, ${p.alpha})`;
-        ctx.lineWidth = 1;
+        // Streaks point along the direction of travel
+        ctx.lineTo(p.x + (drift / fall) * p.length, p.y + p.length);
+        ctx.strokeStyle = storm ? `rgba(170, 185, 220, ${alpha})` : `rgba(180, 210, 240, ${alpha})`;
+        ctx.lineWidth = storm ? 1.2 : 1;
         ctx.stroke();
         break;
       }
       case "snowy": {
-        p.y += p.speed;
-        p.wobble += 0.02;
-        p.x += Math.sin(p.wobble) * 0.5 + p.drift;
+        p.y += p.speed * (0.8 + 0.4 * precipitation) * step;
+        p.wobble += 0.02 * step;
+        p.x += (Math.sin(p.wobble) * 0.5 + p.drift + windX * SNOW_WIND_DRIFT) * step;
         if (p.y > h) { p.y = -10; p.x = Math.random() * w; }
         if (p.x > w) p.x = 0;
         if (p.x < 0) p.x = w;
         ctx.beginPath();
         ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-        ctx.fillStyle = `rgba(220, 235, 255, ${p.alpha})`;
+        ctx.fillStyle = `rgba(220, 235, 255, ${alpha})`;
         ctx.fill();
         break;
       }
-      case "cloudy": {
-        p.x += p.speed;
-        if (p.x > w + p.width) p.x = -p.width;
-        drawCloud(ctx, p.x, p.y, p.width, p.height, p.alpha);
+      case "cloudy":
+      case "partly_cloudy": {
+        p.x += p.speed * (0.6 + 2 * wind) * downwind * step;
+        wrapX(p, w, p.width);
+        drawCloud(ctx, p.x, p.y, p.width, p.height, alpha, p.kind === "partly_cloudy" ? "255, 255, 255" : undefined);
         break;
       }
       case "windy": {
-        p.x += p.speed;
-        if (p.x > w + p.length) { p.x = -p.length; p.y = Math.random() * h; }
+        p.x += p.speed * (0.5 + wind) * downwind * step;
+        if (p.x > w + p.length || p.x < -p.length) {
+          p.x = downwind > 0 ? -p.length : w + p.length;
+          p.y = Math.random() * h;
+        }
         ctx.beginPath();
         ctx.moveTo(p.x, p.y);
         ctx.quadraticCurveTo(p.x + p.length / 2, p.y + p.curve, p.x + p.length, p.y);
-        ctx.strokeStyle = `rgba(180, 210, 200, ${p.alpha})`;
-        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = `rgba(180, 210, 200, ${alpha * (0.6 + 0.6 * wind)})`;
+        ctx.lineWidth = 1 + wind;
         ctx.stroke();
         break;
       }
       case "foggy": {
-        p.x += p.speed;
-        if (p.x > w + p.width) p.x = -p.width;
+        p.x += p.speed * (1 + 3 * wind) * downwind * step;
+        wrapX(p, w, p.width);
+        // Rime fog (48) is denser than plain fog (45)
+        const density = Math.min(0.45, alpha * (0.4 + severity));
         const grad = ctx.createRadialGradient(
           p.x + p.width / 2, p.y + p.height / 2, 0,
           p.x + p.width / 2, p.y + p.height / 2, p.width / 2
         );
-        grad.addColorStop(0, `rgba(200, 210, 215, ${p.alpha})`);
+        grad.addColorStop(0, `rgba(200, 210, 215, ${density})`);
         grad.addColorStop(1, "rgba(200, 210, 215, 0)");
         ctx.fillStyle = grad;
         ctx.fillRect(p.x, p.y, p.width, p.height);
@@ -288,8 +713,8 @@ function updateAndDrawParticles(ctx, particles, type, w, h, frame) {
   });
 }
 
-function drawCloud(ctx, x, y, w, h, alpha) {
-  ctx.fillStyle = `rgba(200, 210, 225, ${alpha})`;
+function drawCloud(ctx, x, y, w, h, alpha, rgb = "200, 210, 225") {
+  ctx.fillStyle = `rgba(${rgb}, ${alpha})`;
   ctx.beginPath();
   ctx.ellipse(x + w * 0.5, y + h * 0.7, w * 0.5, h * 0.4, 0, 0, Math.PI * 2);
   ctx.ellipse(x + w * 0.3, y + h * 0.5, w * 0.25, h * 0.4, 0, 0, Math.PI * 2);
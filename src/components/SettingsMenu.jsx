@@ -0,0 +1,135 @@
+import { useState, useRef, useEffect } from "react";
+import { UNIT_OPTIONS } from "../utils/units";
+import { QUALITY_OPTIONS } from "../utils/quality";
+import { SOUND_OPTIONS } from "../utils/soundscape";
+import { MOTION_OPTIONS } from "../utils/motion";
+
+export default function SettingsMenu({
+  units,
+  onUnitsChange,
+  quality,
+  autoQuality,
+  onQualityChange,
+  sound,
+  onSoundChange,
+  motion,
+  systemReducedMotion,
+  onMotionChange,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on outside click
+  useEffect(() => {
+    function handleClick(e) {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    }
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, []);
+
+  function setUnit(kind, id) {
+    onUnitsChange({ ...units, [kind]: id });
+  }
+
+  return (
+    <div
+      className="settings-wrapper"
+      ref={containerRef}
+      onKeyDown={(e) => {
+        // Keep arrow keys inside the panel from changing the day
+        e.stopPropagation();
+        if (e.key === "Escape") setIsOpen(false);
+      }}
+    >
+      <button
+        className="settings-trigger"
+        onClick={() => setIsOpen((v) => !v)}
+        title="Settings"
+        aria-expanded={isOpen}
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.8"
+          strokeLinecap="round" strokeLinejoin="round" style={{ width: 16, height: 16 }}>
+          <line x1="4" y1="21" x2="4" y2="14" /><line x1="4" y1="10" x2="4" y2="3" />
+          <line x1="12" y1="21" x2="12" y2="12" /><line x1="12" y1="8" x2="12" y2="3" />
+          <line x1="20" y1="21" x2="20" y2="16" /><line x1="20" y1="12" x2="20" y2="3" />
+          <line x1="1" y1="14" x2="7" y2="14" /><line x1="9" y1="8" x2="15" y2="8" />
+          <line x1="17" y1="16" x2="23" y2="16" />
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className="settings-panel">
+          <div className="location-panel-header">
+            <span className="location-panel-title">Settings</span>
+            <button className="location-panel-close" onClick={() => setIsOpen(false)}>✕</button>
+          </div>
+
+          <SettingsGroup
+            label="Temperature"
+            options={UNIT_OPTIONS.temperature}
+            value={units.temperature}
+            onChange={(id) => setUnit("temperature", id)}
+          />
+          <SettingsGroup
+            label="Wind speed"
+            options={UNIT_OPTIONS.wind}
+            value={units.wind}
+            onChange={(id) => setUnit("wind", id)}
+          />
+          <SettingsGroup
+            label="Precipitation"
+            options={UNIT_OPTIONS.precipitation}
+            value={units.precipitation}
+            onChange={(id) => setUnit("precipitation", id)}
+          />
+          <SettingsGroup
+            label="Quality"
+            options={QUALITY_OPTIONS.map((opt) =>
+              opt.id === "auto" ? { ...opt, label: `Auto (${autoQuality}p)` } : opt
+            )}
+            value={quality}
+            onChange={onQualityChange}
+          />
+          <SettingsGroup
+            label="Sound"
+            options={SOUND_OPTIONS}
+            value={sound}
+            onChange={onSoundChange}
+          />
+          <SettingsGroup
+            label="Motion"
+            options={MOTION_OPTIONS.map((opt) =>
+              opt.id === "auto" ? { ...opt, label: `Auto (${systemReducedMotion ? "reduced" : "full"})` } : opt
+            )}
+            value={motion}
+            onChange={onMotionChange}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SettingsGroup({ label, options, value, onChange }) {
+  return (
+    <div className="settings-group">
+      <p className="settings-group-label">{label}</p>
+      <div className="settings-options" role="radiogroup" aria-label={label}>
+        {options.map((opt) => (
+          <button
+            key={opt.id}
+            role="radio"
+            aria-checked={opt.id === value}
+            className={`settings-option ${opt.id === value ? "settings-option--active" : ""}`}
+            onClick={() => onChange(opt.id)}
+          >
+            {opt.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,9 @@
-import { WEATHER_META } from "../utils/weatherTypes";
-import { getWeatherDescription, getWindDirection } from "../utils/weatherApi";
+import { useEffect, useState } from "react";
+import { WEATHER_META, getWeatherType } from "../utils/weatherTypes";
+import { getWeatherDescription, getWindDirection, getDayLabel, describeDay } from "../utils/weatherApi";
+import { formatTemp, formatWind, formatPrecip } from "../utils/units";
+import { formatClock, getLocationNow } from "../utils/dateTime";
+import { handleTabListKeyDown } from "../utils/tabList";
 import SplitText from "../bits/SplitText";
 
 // ─────────────────────────────────────────────────────────────────
@@ -14,43 +18,48 @@ const ICONS = {
   sunrise: <><path d="M17 18a5 5 0 0 0-10 0" /><line x1="12" y1="2" x2="12" y2="9" /><line x1="4.22" y1="10.22" x2="5.64" y2="11.64" /><line x1="1" y1="18" x2="3" y2="18" /><line x1="21" y1="18" x2="23" y2="18" /><line x1="18.36" y1="11.64" x2="19.78" y2="10.22" /><line x1="23" y1="22" x2="1" y2="22" /><polyline points="8 6 12 2 16 6" /></>,
 };
 
-function getWeatherType(code) {
-  if (code === 0) return "sunny";
-  if (code <= 3) return "cloudy";
-  if (code <= 49) return "foggy";
-  if (code <= 67) return "rainy";
-  if (code <= 77) return "snowy";
-  if (code <= 82) return "rainy";
-  if (code <= 86) return "snowy";
-  if (code <= 99) return "rainy";
-  return "cloudy";
-}
-
 // ─────────────────────────────────────────────────────────────────
 // WeatherCard
 // ─────────────────────────────────────────────────────────────────
 export default function WeatherCard({
   day, nextDay, location, scrollProgress,
   isTransitioning, allDays, activeDay, onDaySelect,
+  activeHour, onHourSelect, lastUpdated, isOffline, units,
+  reducedMotion = false,
 }) {
-  const meta = WEATHER_META[getWeatherType(day.weatherCode)];
-  const nextMeta = WEATHER_META[getWeatherType(nextDay?.weatherCode)];
+  // When scrubbing the timeline, the selected hour overrides the daily summary
+  const hour = activeHour != null ? day.hourly?.[activeHour] : null;
+  const displayCode = hour?.weatherCode ?? day.weatherCode;
+  const meta = WEATHER_META[getWeatherType(hour ?? day)];
+  const nextMeta = WEATHER_META[getWeatherType(nextDay)];
 
   const cardOpacity = isTransitioning ? Math.max(0, 1 - scrollProgress * 3) : 1;
   const nextCardOpacity = isTransitioning ? Math.max(0, (scrollProgress - 0.6) * 3) : 0;
   const statsReady = day.tempMax != null;
+  const stripDays = allDays.slice(0, 7);
+  // The strip's one Tab stop — its last day when the active one is beyond it
+  const stripTabStop = Math.min(activeDay, stripDays.length - 1);
 
   return (
     <div className="weather-card-container">
 
       {/* ── Current day card ── */}
-      <div className="weather-card" style={{ opacity: cardOpacity }}>
+      <div
+        className="weather-card"
+        id="weather-card"
+        role="tabpanel"
+        aria-label={getDayLabel(day)}
+        style={{ opacity: cardOpacity }}
+      >
 
         <div className="card-location">
           <span className="location-pin">📍</span>
           <span className="location-name">{location}</span>
+          <LocalClock zone={day} />
         </div>
 
+        <FreshnessBadge lastUpdated={lastUpdated} isOffline={isOffline} />
+
         {/* Day name — split text */}
 
         <SplitText
@@ -65,6 +74,7 @@ export default function WeatherCard({
           threshold={0.1}
           rootMargin="-100px"
           textAlign="left"
+          animate={!reducedMotion}
         />
 
         <p className="card-date">{day.shortDate}</p>
@@ -75,7 +85,7 @@ export default function WeatherCard({
             {meta?.icon}
           </span>
           <SplitText
-            text={`${day.currentTemp ?? day.tempMax}°`}
+            text={formatTemp(hour?.temp ?? day.currentTemp ?? day.tempMax, units)}
             tag="h1"
             delay={50}
             duration={1.25}
@@ -86,11 +96,12 @@ export default function WeatherCard({
             threshold={0.1}
             rootMargin="-100px"
             textAlign="left"
+            animate={!reducedMotion}
           />
         </div>
 
-        <p className="card-description">{getWeatherDescription(day.weatherCode)}</p>
-        <p className="card-feels-like">Feels like {day.currentFeelsLike ?? day.feelsLikeMax}°</p>
+        <p className="card-description">{getWeatherDescription(displayCode)}</p>
+        <p className="card-feels-like">Feels like {formatTemp(day.currentFeelsLike ?? day.feelsLikeMax, units)}</p>
 
         {/*
           Stats reveal wrapper:
@@ -105,32 +116,51 @@ export default function WeatherCard({
           transition: "max-height 0.55s cubic-bezier(0.22,1,0.36,1) 0.05s, opacity 0.4s ease 0.08s",
         }}>
           <div className="card-stats">
-            <StatItem icon={ICONS.temp} label="High / Low" value={`${day.tempMax}° / ${day.tempMin}°`} />
-            <StatItem icon={ICONS.rain} label="Precipitation" value={`${day.precipProbability}%  ·  ${day.precipitation}mm`} />
-            <StatItem icon={ICONS.wind} label="Wind" value={`${day.windSpeed} km/h ${getWindDirection(day.windDirection)}`} />
+            <StatItem icon={ICONS.temp} label="High / Low" value={`${formatTemp(day.tempMax, units)} / ${formatTemp(day.tempMin, units)}`} />
+            <StatItem icon={ICONS.rain} label="Precipitation" value={`${day.precipProbability != null ? `${day.precipProbability}%` : "—"}  ·  ${formatPrecip(day.precipitation, units)}`} />
+            <StatItem icon={ICONS.wind} label="Wind" value={`${formatWind(day.windSpeed, units)} ${getWindDirection(day.windDirection)}`} />
             <StatItem icon={ICONS.humidity} label="Humidity" value={day.currentHumidity != null ? `${day.currentHumidity}%` : "—"} />
             <StatItem icon={ICONS.uv} label="UV Index" value={day.uvIndex !== "N/A" ? day.uvIndex : "—"} />
             <StatItem icon={ICONS.sunrise} label="Sunrise / Sunset" value={day.sunrise ? `${day.sunrise}  ·  ${day.sunset}` : "—"} />
           </div>
         </div>
 
+        {/* Hourly timeline — drag to see how the day unfolds */}
+        <HourlyTimeline
+          hours={day.hourly}
+          activeHour={activeHour}
+          onHourSelect={onHourSelect}
+          units={units}
+        />
+
       </div>
 
       {/* ── Transition peek card ── */}
 
       {/* ── Forecast strip ── */}
-      <div className="forecast-strip">
-        {allDays.slice(0, 7).map((d, i) => {
-          const m = WEATHER_META[getWeatherType(d.weatherCode)];
+      <div
+        className="forecast-strip"
+        role="tablist"
+        aria-label="7-day forecast"
+        onKeyDown={(e) => handleTabListKeyDown(e, "horizontal")}
+      >
+        {stripDays.map((d, i) => {
+          const m = WEATHER_META[getWeatherType(d)];
           return (
-            <div key={i}
+            <button key={i}
+              type="button"
+              role="tab"
+              aria-selected={i === activeDay}
+              aria-controls="weather-card"
+              aria-label={describeDay(d, units)}
+              tabIndex={i === stripTabStop ? 0 : -1}
               className={`forecast-day ${i === activeDay ? "forecast-day--active" : ""}`}
               onClick={() => onDaySelect?.(i)}
             >
               <span className="forecast-day-name">{d.dayName.slice(0, 3)}</span>
               <span className="forecast-icon">{m?.icon}</span>
-              <span className="forecast-temp">{d.tempMax}°</span>
-            </div>
+              <span className="forecast-temp">{formatTemp(d.tempMax, units)}</span>
+            </button>
           );
         })}
       </div>
@@ -139,6 +169,114 @@ export default function WeatherCard({
   );
 }
 
+// ─────────────────────────────────────────────────────────────────
+// Clock helpers
+// ─────────────────────────────────────────────────────────────────
+
+// Current timestamp, re-rendering every 30s so relative/clock labels stay fresh
+function useNow(intervalMs = 30000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+}
+
+// Current time at the forecast location (not the viewer's)
+function LocalClock({ zone }) {
+  const now = useNow();
+  const { hour, minute } = getLocationNow(zone, new Date(now));
+  return <span className="location-time">· {formatClock(hour, minute)} local</span>;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// "Updated N min ago" / offline badge
+// ─────────────────────────────────────────────────────────────────
+function formatAge(ms) {
+  const mins = Math.floor(ms / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
+function FreshnessBadge({ lastUpdated, isOffline }) {
+  const now = useNow();
+
+  if (!lastUpdated) return null;
+  const age = formatAge(Math.max(0, now - lastUpdated));
+
+  return (
+    <p className={`freshness-badge ${isOffline ? "freshness-badge--offline" : ""}`}>
+      <span className="freshness-dot" />
+      {isOffline ? `Offline · updated ${age}` : `Updated ${age}`}
+    </p>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Hourly timeline scrubber
+// ─────────────────────────────────────────────────────────────────
+function formatHour(hour) {
+  return `${String(hour).padStart(2, "0")}:00`;
+}
+
+function HourlyTimeline({ hours, activeHour, onHourSelect, units }) {
+  if (!hours?.length) return null;
+
+  const selected = activeHour != null ? hours[activeHour] : null;
+  // Keep arrow keys and touch drags on the slider from reaching the
+  // window-level day navigation handlers in App
+  const stop = (e) => e.stopPropagation();
+
+  return (
+    <div className={`hourly-timeline ${selected ? "" : "hourly-timeline--idle"}`}>
+      <div className="hourly-header">
+        <span className="stat-label">{selected ? formatHour(selected.hour) : "Hourly"}</span>
+        {selected && (
+          <button className="hourly-reset" onClick={() => onHourSelect?.(null)}>All day</button>
+        )}
+      </div>
+
+      <div className="hourly-track">
+        {hours.map((h, i) => (
+          <span
+            key={h.time}
+            className="hourly-segment"
+            style={{
+              background: WEATHER_META[getWeatherType(h)]?.accentColor,
+              opacity: i === activeHour ? 1 : 0.35,
+            }}
+          />
+        ))}
+      </div>
+
+      <input
+        type="range"
+        className="hourly-range"
+        min={0}
+        max={hours.length - 1}
+        step={1}
+        value={activeHour ?? 0}
+        onChange={(e) => onHourSelect?.(Number(e.target.value))}
+        onKeyDown={stop}
+        onTouchStart={stop}
+        onTouchEnd={stop}
+        aria-label="Hour of day"
+        aria-valuetext={selected ? `${formatHour(selected.hour)}, ${formatTemp(selected.temp, units)}` : "All day"}
+      />
+
+      <div className="hourly-labels">
+        {hours.filter((h) => h.hour % 6 === 0).map((h) => (
+          <span key={h.time}>{formatHour(h.hour)}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function StatItem({ icon, label, value }) {
   return (
     <div className="stat-item">
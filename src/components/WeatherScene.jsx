@@ -1,14 +1,105 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState, useSyncExternalStore } from "react";
 import {
-  getFrameUrl,
+  loadFramesManifest,
+  getFolderInfo,
+  getVideoUrl,
+  idleFrameAt,
   preloadTransition,
+  preloadFrameRange,
   progressToFrameSync,
-  checkFolderExists,
   getFolderFrameCount,
+  decodeAround,
+  decodeFrame,
+  getNearestDecodedFrame,
+  getCachedFrame,
+  isFrameDecoded,
+  pinFrameFolders,
 } from "../utils/frameLoader";
+import { getAssetTypeCandidates } from "../utils/weatherTypes";
+import { createVideoScrubber } from "../utils/videoScrubber";
+import { getQualityTier, reportFrameDeadline, subscribeQuality } from "../utils/quality";
 import CSSFallbackScene from "./CSSFallbackScene";
 
-const VIDEO_BASE = "/videos";
+// Idle frame folders play at this rate unless their meta.json sets "fps"
+const IDLE_FPS = 24;
+
+// Share of a frame transition's progress over which the frames fade in
+// over the current scene (and the idle loop walks to its handoff frame)
+const FRAME_FADE_IN = 0.12;
+
+// Only playhead steps of up to this many frames count toward the quality
+// tier's deadline — a flick outruns decode-ahead on any device
+const DEADLINE_MAX_STEP = 4;
+
+// Dark blue wash laid over the day clip at night when a type has no
+// {type}_night.mp4 of its own
+const NIGHT_TINT = "linear-gradient(180deg, rgba(6,10,30,0.85) 0%, rgba(10,16,40,0.7) 100%)";
+
+// Point a <video> at the idle clip for `type`, walking its fallback chain
+// (e.g. stormy → rainy) whenever a candidate fails to load. `suffix`
+// selects a variant clip, e.g. "_night" → /videos/stormy_night.mp4.
+// Clips load at the quality tier current when this is called.
+// Calls onReady once playable, onMissing if no candidate exists.
+// Returns a cleanup function.
+function loadTypeVideo(video, type, { suffix = "", onReady, onMissing } = {}) {
+  const candidates = getAssetTypeCandidates(type).map((t) => `${t}${suffix}`);
+  let index = 0;
+  let ready = false;
+  let cancelled = false;
+
+  function tryNext() {
+    if (cancelled) return;
+    if (index >= candidates.length) {
+      onMissing?.();
+      return;
+    }
+    video.src = getVideoUrl(candidates[index++]);
+    video.load();
+  }
+  const onCanPlay = () => {
+    if (ready) return;
+    ready = true;
+    onReady?.();
+  };
+
+  video.addEventListener("canplay", onCanPlay);
+  video.addEventListener("error",   tryNext);
+  // Which tier folder a clip is in comes from the manifest
+  loadFramesManifest().then(tryNext);
+
+  return () => {
+    cancelled = true;
+    video.removeEventListener("canplay", onCanPlay);
+    video.removeEventListener("error",   tryNext);
+  };
+}
+
+// Match a canvas's backing store to its on-screen size × devicePixelRatio
+// (which also clears it)
+function fitCanvas(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width  = Math.round(canvas.clientWidth * dpr);
+  canvas.height = Math.round(canvas.clientHeight * dpr);
+}
+
+// Draw a frame scaled to cover the canvas (like object-fit: cover),
+// with the same 1.08 overscan as the videos so the handoff doesn't jump
+function drawCover(ctx, frame) {
+  const { width: cw, height: ch } = ctx.canvas;
+  const fw = frame.width, fh = frame.height;
+  if (!fw || !fh || !cw || !ch) return;
+  const scale = Math.max(cw / fw, ch / fh) * 1.08;
+  const w = fw * scale, h = fh * scale;
+  ctx.drawImage(frame, (cw - w) / 2, (ch - h) / 2, w, h);
+}
+
+// Which leg of a transition `progress` falls in, and how far through it.
+// A route's legs split the progress range evenly.
+function legAt(progress, legCount) {
+  const span = 1 / legCount;
+  const leg  = Math.min(legCount - 1, Math.floor(progress / span));
+  return { leg, local: (progress - leg * span) / span };
+}
 
 function easeInOut(t) {
   return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
@@ -17,18 +108,70 @@ function easeInOut(t) {
 export default function WeatherScene({
   currentType,
   nextType,
-  transitionKey,
+  transition,
+  upcomingTransition,
+  direction = 1,
   scrollProgress,
   isTransitioning,
+  nightAmount = 0,
+  intensity,
+  nextIntensity,
+  reducedMotion = false,
 }) {
   const currentVideoRef = useRef(null);
+  const nightVideoRef   = useRef(null);
   const nextVideoRef    = useRef(null);
-  const frameImgRef     = useRef(null);
+  const frameCanvasRef  = useRef(null);
+  const idleCanvasRef   = useRef(null);
+  const nextPosterRef   = useRef(null);
+  // Read by the clip loaders, so turning motion down never reloads a clip
+  const reducedMotionRef = useRef(reducedMotion);
+  reducedMotionRef.current = reducedMotion;
+  // Transition clips (one per video leg) and their scrubbers, by leg index
+  const transitionVideoRefs = useRef([]);
+  const scrubbersRef        = useRef([]);
+  // Frame index the canvas currently shows, and the one it should show
+  const drawnFrameRef   = useRef({ key: null, index: null });
+  const targetFrameRef  = useRef({ key: null, index: null });
+  const redrawRafRef    = useRef(null);
+
+  // Asset resolution — idle clips pick it up the next time they load,
+  // frames and transition clips switch straight away
+  const qualityTier = useSyncExternalStore(subscribeQuality, getQualityTier);
 
   const [videoReady, setVideoReady]                   = useState(false);
-  const [hasTransitionFrames, setHasTransitionFrames] = useState(null);
+  const [nightVideoReady, setNightVideoReady]         = useState(false);
+  // Type whose clip is currently loaded into the next-video layer
+  const nextVideoTypeRef = useRef(null);
 
   const isSameType = currentType === nextType;
+  // Frame folders to play, in order — see transitionGraph.js. Reduced
+  // motion skips them for a plain crossfade.
+  const segments    = reducedMotion ? [] : transition?.segments ?? [];
+  const segmentsKey = segments.map((seg) => `${seg.source}:${seg.key}${seg.reversed ? ":rev" : ""}`).join(",");
+  const upcomingKey = (upcomingTransition?.segments ?? [])
+    .filter((seg) => seg.source === "frames")
+    .map((seg) => seg.key)
+    .join(",");
+  const frameSegments = segments.filter((seg) => seg.source === "frames");
+
+  // Idle frame loop for the current type, if it has a frame folder. A
+  // transition starting from the folder's last frame (or first, when played
+  // reversed) takes over from the loop on that frame. With reduced motion
+  // the folder's first frame stands still as the type's poster, and the
+  // next type's poster waits under the crossfade.
+  const idleFolder = useIdleFramePlayer(idleCanvasRef, currentType, nextType, {
+    handoffProgress: isTransitioning && segments.length ? scrollProgress : 0,
+    handoffFrame: segments[0]?.reversed ? "first" : "last",
+    qualityTier,
+    still: reducedMotion,
+  });
+  const nextPosterFolder = useIdleFramePlayer(nextPosterRef, reducedMotion && !isSameType ? nextType : null, null, {
+    handoffProgress: 0,
+    qualityTier,
+    still: true,
+  });
+  const sceneReady = videoReady || Boolean(idleFolder);
 
   // ── Load & play current video ────────────────────────────────────
   useEffect(() => {
@@ -39,27 +182,59 @@ export default function WeatherScene({
     setVideoReady(false);
     video.pause();
 
-    const src = `${VIDEO_BASE}/${currentType}.mp4`;
-    video.src       = src;
     video.muted     = true;
     video.loop      = true;
     video.playsInline = true;
 
-    const onCanPlay = () => {
-      video.play().catch(() => {});
-      requestAnimationFrame(() => requestAnimationFrame(() => setVideoReady(true)));
-    };
-    const onError = () => setVideoReady(false);
+    return loadTypeVideo(video, currentType, {
+      onReady: () => {
+        // Reduced motion: the paused clip's first frame is the poster
+        if (!reducedMotionRef.current) video.play().catch(() => {});
+        requestAnimationFrame(() => requestAnimationFrame(() => setVideoReady(true)));
+      },
+      onMissing: () => setVideoReady(false),
+    });
+  }, [currentType]);
 
-    video.addEventListener("canplay", onCanPlay, { once: true });
-    video.addEventListener("error",   onError,   { once: true });
-    video.load();
+  // ── Night variant of the current video ───────────────────────────
+  // Only loaded once it's at least dusk; crossfaded over the day clip
+  const wantsNight = nightAmount > 0;
+  useEffect(() => {
+    const video = nightVideoRef.current;
+    setNightVideoReady(false);
+    if (!video) return;
+    if (!wantsNight || !currentType) {
+      video.pause();
+      return;
+    }
 
-    return () => {
-      video.removeEventListener("canplay", onCanPlay);
-      video.removeEventListener("error",   onError);
-    };
-  }, [currentType]);
+    video.muted     = true;
+    video.loop      = true;
+    video.playsInline = true;
+
+    return loadTypeVideo(video, currentType, {
+      suffix: "_night",
+      onReady: () => {
+        if (!reducedMotionRef.current) video.play().catch(() => {});
+        setNightVideoReady(true);
+      },
+      onMissing: () => setNightVideoReady(false),
+    });
+  }, [currentType, wantsNight]);
+
+  // ── Reduced motion: hold the idle clips still ────────────────────
+  useEffect(() => {
+    const clips = [
+      { video: currentVideoRef.current, ready: videoReady },
+      { video: nightVideoRef.current,   ready: nightVideoReady && wantsNight },
+    ];
+    for (const { video, ready } of clips) {
+      if (!video) continue;
+      if (reducedMotion) video.pause();
+      else if (ready) video.play().catch(() => {});
+    }
+    // Only on a change of mode — the loaders start new clips themselves
+  }, [reducedMotion]);
 
   // ── Preload next video — only when it's a DIFFERENT type ─────────
   // If same type, we'll mirror currentVideo's position instead
@@ -69,16 +244,20 @@ export default function WeatherScene({
     const video = nextVideoRef.current;
     if (!video) return;
 
-    const src = `${VIDEO_BASE}/${nextType}.mp4`;
-    // Reset if src changed — avoids stale video from previous transition
-    if (!video.src.endsWith(`${nextType}.mp4`)) {
-      video.src       = src;
-      video.muted     = true;
-      video.loop      = true;
-      video.playsInline = true;
-      video.preload   = "auto";
-      video.load();
-    }
+    // Reload only if the type changed — avoids stale video from previous transition
+    if (nextVideoTypeRef.current === nextType) return;
+    nextVideoTypeRef.current = nextType;
+
+    video.muted     = true;
+    video.loop      = true;
+    video.playsInline = true;
+    video.preload   = "auto";
+
+    const cleanup = loadTypeVideo(video, nextType);
+    return () => {
+      cleanup();
+      nextVideoTypeRef.current = null;
+    };
   }, [nextType, isSameType]);
 
   // ── Sync next video state with transition ────────────────────────
@@ -91,9 +270,9 @@ export default function WeatherScene({
       if (isSameType) {
         // Mirror the current video exactly — same src, same position
         // This makes same-type "transition" completely invisible
-        const src = `${VIDEO_BASE}/${currentType}.mp4`;
-        if (!next.src.endsWith(`${currentType}.mp4`)) {
-          next.src       = src;
+        if (next.src !== current.src) {
+          nextVideoTypeRef.current = currentType;
+          next.src       = current.src;
           next.muted     = true;
           next.loop      = true;
           next.playsInline = true;
@@ -104,7 +283,7 @@ export default function WeatherScene({
           if (Math.abs(next.currentTime - current.currentTime) > 0.1) {
             next.currentTime = current.currentTime;
           }
-          next.play().catch(() => {});
+          if (!reducedMotion) next.play().catch(() => {});
         };
         if (next.readyState >= 2) {
           syncTime();
@@ -113,7 +292,8 @@ export default function WeatherScene({
         }
       } else {
         // Different type — just start playing from wherever it loaded
-        next.play().catch(() => {});
+        // (or, with reduced motion, crossfade to its first frame)
+        if (!reducedMotion) next.play().catch(() => {});
       }
     } else {
       if (!isSameType) {
@@ -121,54 +301,160 @@ export default function WeatherScene({
         next.currentTime = 0;
       }
     }
-  }, [isTransitioning, isSameType, currentType]);
+  }, [isTransitioning, isSameType, currentType, reducedMotion]);
 
-  // ── Frame sequence check ─────────────────────────────────────────
+  // ── Preload the transition's frames ──────────────────────────────
+  // (clips preload themselves — their <video>s are preload="auto")
   useEffect(() => {
-    // Same type never has frames
-    if (!transitionKey || isSameType) {
-      setHasTransitionFrames(false);
-      return;
-    }
-    setHasTransitionFrames(null);
+    if (!frameSegments.length) return;
     let cancelled = false;
-    async function check() {
-      const exists = await checkFolderExists(transitionKey);
-      if (cancelled) return;
-      setHasTransitionFrames(exists);
-      if (exists) {
-        getFolderFrameCount(transitionKey);
-        preloadTransition(transitionKey);
+    (async () => {
+      for (const { key, reversed } of frameSegments) {
+        // Opening frames decoded up front so the first scroll is instant —
+        // for a reversed folder those are its last frames
+        const total = await getFolderFrameCount(key);
+        if (cancelled) return;
+        const start = reversed ? Math.max(1, total - 23) : 1;
+        preloadFrameRange(key, start, start + 23, { decode: true });
       }
-    }
-    check();
+      for (const { key } of frameSegments) preloadTransition(key);
+    })();
     return () => { cancelled = true; };
-  }, [transitionKey, isSameType]);
+  }, [segmentsKey, qualityTier]);
+
+  // ── Scrubbers for the transition's clips ─────────────────────────
+  useEffect(() => {
+    const scrubbers = segments.map((seg, i) => {
+      const video = transitionVideoRefs.current[i];
+      return seg.source === "video" && video ? createVideoScrubber(video) : null;
+    });
+    scrubbersRef.current = scrubbers;
+    return () => scrubbers.forEach((scrubber) => scrubber?.dispose());
+  }, [segmentsKey, qualityTier]);
+
+  // ── Pin current + upcoming transition frames ─────────────────────
+  // Everything else in the frame cache is fair game for LRU eviction
+  useEffect(() => {
+    pinFrameFolders([idleFolder, ...frameSegments.map((seg) => seg.key), ...upcomingKey.split(",")]);
+  }, [idleFolder, segmentsKey, upcomingKey]);
+
+  // ── Frame canvas size ────────────────────────────────────────────
+  // Backing store matches the on-screen size × devicePixelRatio
+  useEffect(() => {
+    const canvas = frameCanvasRef.current;
+    if (!canvas) return;
+    function resize() {
+      fitCanvas(canvas);
+      // Resizing clears the canvas — force a redraw of the current target
+      drawnFrameRef.current = { key: null, index: null };
+      drawTarget();
+    }
+    resize();
+    window.addEventListener("resize", resize);
+    return () => window.removeEventListener("resize", resize);
+  }, []);
+
+  // Draw the target frame, or the nearest decoded one while it's still
+  // decoding. If nothing for this folder is ready yet, the canvas keeps
+  // whatever it last showed rather than going blank.
+  function drawTarget() {
+    const canvas = frameCanvasRef.current;
+    const { key, index } = targetFrameRef.current;
+    if (!canvas || !key) return;
+
+    const frame = getNearestDecodedFrame(key, index) ?? getCachedFrame(key, index);
+    const drawn = drawnFrameRef.current;
+    if (!frame) {
+      // Never leave a different transition's frame up
+      if (drawn.key !== key) {
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        drawnFrameRef.current = { key: null, index: null };
+      }
+      return;
+    }
+    if (drawn.key === key && drawn.index === index && drawn.frame === frame) return;
 
-  // ── Drive frame image ────────────────────────────────────────────
+    drawCover(canvas.getContext("2d"), frame);
+    drawnFrameRef.current = { key, index, frame };
+  }
+
+  function scheduleRedraw() {
+    if (redrawRafRef.current != null) return;
+    redrawRafRef.current = requestAnimationFrame(() => {
+      redrawRafRef.current = null;
+      drawTarget();
+    });
+  }
+  useEffect(() => () => cancelAnimationFrame(redrawRafRef.current), []);
+
+  // ── Drive frame canvas ───────────────────────────────────────────
+  // Frame legs draw onto the canvas; clip legs seek their <video>
   useEffect(() => {
-    if (!isTransitioning || !hasTransitionFrames || !transitionKey) return;
-    const img = frameImgRef.current;
-    if (!img) return;
-    const url = getFrameUrl(transitionKey, progressToFrameSync(scrollProgress, transitionKey));
-    if (url && !img.src.endsWith(url)) img.src = url;
-  }, [isTransitioning, hasTransitionFrames, transitionKey, scrollProgress]);
+    if (!isTransitioning || !segments.length) {
+      targetFrameRef.current = { key: null, index: null };
+      return;
+    }
+    const { leg, local } = legAt(scrollProgress, segments.length);
+    const { key, reversed, source } = segments[leg];
+    const position = reversed ? 1 - local : local;
+
+    if (source === "video") {
+      const video = transitionVideoRefs.current[leg];
+      if (video) scrubbersRef.current[leg]?.seekTo(position * video.duration);
+      return;
+    }
+
+    const index = progressToFrameSync(position, key);
+
+    // At a steady pace the frame should already be decoded; if the device
+    // keeps falling behind, auto quality steps down a tier
+    const previous = targetFrameRef.current;
+    const step = previous.key === key ? Math.abs(index - previous.index) : 0;
+    if (step > 0 && step <= DEADLINE_MAX_STEP) reportFrameDeadline(!isFrameDecoded(key, index));
+
+    targetFrameRef.current = { key, index };
+    drawTarget();
+
+    // Keep frames around the playhead decoded (reversed playback reads the
+    // folder downwards, so "ahead" is lower indices); when one lands while
+    // we're still showing a stand-in, redraw on the next animation frame
+    decodeAround(key, index, {
+      ahead:  reversed ? 8 : 24,
+      behind: reversed ? 24 : 8,
+      onDecoded: scheduleRedraw,
+    });
+  }, [isTransitioning, segmentsKey, scrollProgress]);
 
   // ── Layer math ───────────────────────────────────────────────────
-  const useFrames = hasTransitionFrames === true;
+  const useFrames = segments.length > 0;
+  const activeLeg = useFrames ? legAt(scrollProgress, segments.length).leg : -1;
+  const showClip  = segments[activeLeg]?.source === "video";
   const eased     = easeInOut(scrollProgress);
   const PARALLAX  = 0.06;
+  // Forward, the next day comes in from below; going back, the previous
+  // day comes in from above and the current one is pushed down
+  const dir       = direction < 0 ? -1 : 1;
 
   let currentTransform, nextTransform, frameOpacity, currentOpacity;
+  let nextOpacity = 1;
 
   if (!isTransitioning) {
     currentTransform = "translateY(0%)";
     nextTransform    = "translateY(100%)";
     frameOpacity     = 0;
     currentOpacity   = 1;
+  } else if (reducedMotion) {
+    // Reduced motion: the next day's poster fades in over this one's,
+    // nothing moves (App already eases the progress)
+    currentTransform = "translateY(0%)";
+    nextTransform    = "translateY(0%)";
+    nextOpacity      = scrollProgress;
+    frameOpacity     = 0;
+    currentOpacity   = 1;
   } else if (useFrames) {
     // Frame sequence transition
-    const fadeT      = Math.min(1, scrollProgress / 0.12);
+    const fadeT      = Math.min(1, scrollProgress / FRAME_FADE_IN);
     currentOpacity   = 1 - fadeT;
     currentTransform = "translateY(0%)";
     nextTransform    = "translateY(100%)";
@@ -178,16 +464,18 @@ export default function WeatherScene({
     // The next video is a frame-perfect mirror so even if it slides up,
     // it looks identical to the current one
     currentTransform = "translateY(0%)";
-    const slideUp    = (1 - eased) * 100;
-    nextTransform    = `translateY(${slideUp}%)`;
+    const slideIn    = (1 - eased) * 100 * dir;
+    nextTransform    = `translateY(${slideIn}%)`;
     frameOpacity     = 0;
     currentOpacity   = 1;
   } else {
-    // Different type, no frames — slide up reveal
-    const slideUp    = (1 - eased) * 100;
-    const pushUp     = eased * PARALLAX * -100;
-    currentTransform = `translateY(${pushUp}%)`;
-    nextTransform    = `translateY(${slideUp}%)`;
+    // Different type, no frames for any route — crossfade, with a little
+    // parallax drift in the direction of travel
+    const driftIn    = (1 - eased) * PARALLAX * 100 * dir;
+    const pushAway   = eased * PARALLAX * -100 * dir;
+    currentTransform = `translateY(${pushAway}%)`;
+    nextTransform    = `translateY(${driftIn}%)`;
+    nextOpacity      = eased;
     frameOpacity     = 0;
     currentOpacity   = 1;
   }
@@ -203,51 +491,238 @@ export default function WeatherScene({
   };
 
   return (
-    <div className="scene-bg" style={{ overflow: "hidden" }}>
+    <div className="scene-bg" style={{ overflow: "hidden" }} data-transition={transition?.kind}>
 
-      {/* CSS fallback — fades out once video ready */}
+      {/* CSS fallback — fades out once the idle video or frames are ready */}
       <div style={{
         position: "absolute", inset: 0, zIndex: 0,
-        opacity: videoReady ? 0 : 1,
+        opacity: sceneReady ? 0 : 1,
         transition: "opacity 0.8s ease",
         pointerEvents: "none",
       }}>
         <CSSFallbackScene type={currentType} nextType={nextType}
-          progress={isTransitioning ? scrollProgress : 0} />
+          progress={isTransitioning ? scrollProgress : 0} night={nightAmount}
+          intensity={intensity} nextIntensity={nextIntensity} still={reducedMotion} />
       </div>
 
-      {/* Layer 1 — current video */}
+      {/* Layer 1 — current idle scene (video, or frame loop drawn over it) */}
       <div style={{
         position: "absolute", inset: 0, zIndex: 1,
         transform: currentTransform,
         willChange: "transform",
-        opacity: videoReady ? currentOpacity : 0,
-        transition: videoReady ? "opacity 0.8s ease" : "none",
+        opacity: sceneReady ? currentOpacity : 0,
+        transition: sceneReady ? "opacity 0.8s ease" : "none",
       }}>
-        <video ref={currentVideoRef} muted loop autoPlay playsInline style={videoStyle} />
+        <video ref={currentVideoRef} muted loop autoPlay={!reducedMotion} playsInline style={videoStyle} />
+
+        <canvas ref={idleCanvasRef} style={{
+          position: "absolute",
+          inset: 0,
+          width: "100%",
+          height: "100%",
+          visibility: idleFolder ? "visible" : "hidden",
+        }} />
+
+        {/* Night clip crossfades in around dusk, out around dawn */}
+        <video ref={nightVideoRef} muted loop playsInline style={{
+          ...videoStyle,
+          opacity: nightVideoReady ? nightAmount : 0,
+          transition: "opacity 1.2s ease",
+        }} />
+
+        {/* No night clip for this type — darken the day clip instead */}
+        <div style={{
+          position: "absolute", inset: 0,
+          background: NIGHT_TINT,
+          opacity: nightVideoReady ? 0 : nightAmount * 0.7,
+          transition: "opacity 1.2s ease",
+          pointerEvents: "none",
+        }} />
       </div>
 
-      {/* Layer 2 — next video sliding up */}
+      {/* Layer 2 — next (or previous) day's video sliding in */}
       <div style={{
         position: "absolute", inset: 0, zIndex: 2,
         transform: nextTransform,
         willChange: "transform",
         clipPath: "inset(0)",
+        opacity: nextOpacity,
       }}>
         <video ref={nextVideoRef} muted loop playsInline style={videoStyle} />
+
+        {/* Reduced motion: the next type's poster, if it has a frame folder */}
+        <canvas ref={nextPosterRef} style={{
+          position: "absolute",
+          inset: 0,
+          width: "100%",
+          height: "100%",
+          visibility: nextPosterFolder ? "visible" : "hidden",
+        }} />
       </div>
 
-      {/* Layer 3 — frame sequence */}
-      <img ref={frameImgRef} alt="" style={{
-        ...videoStyle,
-        transform: "none",
-        opacity: frameOpacity,
+      {/* Layer 3 — frame sequence, drawn from pre-decoded bitmaps */}
+      <canvas ref={frameCanvasRef} style={{
+        position: "absolute",
+        inset: 0,
+        width: "100%",
+        height: "100%",
+        opacity: showClip ? 0 : frameOpacity,
         pointerEvents: "none",
-        visibility: frameOpacity > 0 ? "visible" : "hidden",
+        visibility: frameOpacity > 0 && !showClip ? "visible" : "hidden",
         zIndex: 3,
       }} />
 
+      {/* Layer 3 — or a transition clip, scrubbed by seeking */}
+      {segments.map((seg, i) => seg.source === "video" && (
+        <video
+          key={`${i}:${seg.key}:${qualityTier}`}
+          ref={(el) => { transitionVideoRefs.current[i] = el; }}
+          src={getVideoUrl(seg.key)}
+          muted
+          playsInline
+          preload="auto"
+          style={{
+            ...videoStyle,
+            opacity: i === activeLeg ? frameOpacity : 0,
+            visibility: i === activeLeg && frameOpacity > 0 ? "visible" : "hidden",
+            pointerEvents: "none",
+            zIndex: 3,
+          }}
+        />
+      ))}
+
     </div>
   );
 }
 
+// ─────────────────────────────────────────────────────────────────
+// Idle frame loop
+// ─────────────────────────────────────────────────────────────────
+// Plays the idle frame folder for `type` (or its fallback type's) onto
+// `canvasRef`, at the folder's meta.json fps / loop mode. While a frame
+// transition fades in (handoffProgress 0 → FRAME_FADE_IN) the loop stops
+// and the playhead walks to `handoffFrame` — the frame the transition
+// starts from — so the two line up. Dragged back to 0, the loop resumes
+// from wherever it is. `nextType`'s opening frames are decoded ahead so
+// the loop after a transition starts without a gap; both are preloaded
+// again when the quality tier changes. `still` shows just the folder's
+// first frame, as a poster, and loads nothing else.
+// Returns the folder playing, or null if the type has none.
+function useIdleFramePlayer(canvasRef, type, nextType, { handoffProgress, handoffFrame = "last", qualityTier, still = false }) {
+  const folder     = findIdleFolder(type);
+  const nextFolder = findIdleFolder(nextType);
+  const handoffRef = useRef({ progress: 0, frame: "last" });
+  handoffRef.current = { progress: handoffProgress, frame: handoffFrame };
+
+  // ── Preload ──────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!folder || still) return;
+    preloadFrameRange(folder, 1, 24, { decode: true }).then(() => preloadTransition(folder));
+  }, [folder, qualityTier, still]);
+
+  useEffect(() => {
+    if (nextFolder) preloadFrameRange(nextFolder, 1, still ? 1 : 24, { decode: true });
+  }, [nextFolder, qualityTier, still]);
+
+  // ── Playback ─────────────────────────────────────────────────────
+  // A layout effect, so frame 1 of a new loop is on the canvas before the
+  // browser paints the finished transition away
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    if (!folder || !canvas) return;
+    if (still) return drawPoster(canvas, folder);
+    const info  = getFolderInfo(folder) ?? {};
+    const fps   = info.fps ?? IDLE_FPS;
+    const mode  = info.loop ?? "loop";
+    const total = progressToFrameSync(1, folder);
+    const ctx   = canvas.getContext("2d");
+
+    let raf = null;
+    let origin = performance.now();
+    let frame = 1;
+    let handoffFrom = null;  // frame the loop stopped on for a handoff
+    let drawn = null;        // { index, image } on the canvas
+    let decodedAt = null;    // playhead of the last decode-ahead request
+
+    function draw(index) {
+      // Even with nothing to show yet (e.g. right after a tier change)
+      if (decodedAt !== index) {
+        // Ping-pong plays the folder in both directions
+        decodeAround(folder, index, { ahead: 24, behind: mode === "pingpong" ? 24 : 4 });
+        decodedAt = index;
+      }
+      const image = getNearestDecodedFrame(folder, index) ?? getCachedFrame(folder, index);
+      if (!image || (drawn?.index === index && drawn.image === image)) return;
+      drawCover(ctx, image);
+      drawn = { index, image };
+    }
+
+    function tick(now) {
+      const { progress, frame: target } = handoffRef.current;
+      if (progress > 0) {
+        if (handoffFrom == null) handoffFrom = frame;
+        const t   = Math.min(1, progress / FRAME_FADE_IN);
+        const end = target === "first" ? 1 : total;
+        frame = Math.round(handoffFrom + (end - handoffFrom) * t);
+      } else {
+        if (handoffFrom != null) {
+          // Transition abandoned — carry on looping from the current frame
+          origin = now - ((frame - 1) * 1000) / fps;
+          handoffFrom = null;
+        }
+        frame = idleFrameAt(folder, now - origin, { fps, mode });
+      }
+      draw(frame);
+      raf = requestAnimationFrame(tick);
+    }
+
+    function resize() {
+      fitCanvas(canvas);
+      drawn = null;
+      draw(frame);
+    }
+
+    resize();
+    window.addEventListener("resize", resize);
+    raf = requestAnimationFrame(tick);
+    return () => {
+      cancelAnimationFrame(raf);
+      window.removeEventListener("resize", resize);
+    };
+  }, [folder, canvasRef, still]);
+
+  return folder;
+}
+
+// Draw a folder's first frame to cover `canvas` as soon as it's decoded,
+// and again on resize. Returns a cleanup function. Only the latest request
+// draws, and it reads the frame back from the cache at that point — the one
+// the decode resolved with may have been evicted (and closed) since.
+function drawPoster(canvas, folder) {
+  let cancelled = false;
+  let request = 0;
+  function draw() {
+    fitCanvas(canvas);
+    const current = ++request;
+    decodeFrame(folder, 1)
+      .then(() => {
+        if (cancelled || current !== request) return;
+        const frame = getCachedFrame(folder, 1);
+        if (frame) drawCover(canvas.getContext("2d"), frame);
+      })
+      .catch(() => {}); // Nothing drawn — the canvas keeps what it had
+  }
+  draw();
+  window.addEventListener("resize", draw);
+  return () => {
+    cancelled = true;
+    window.removeEventListener("resize", draw);
+  };
+}
+
+// Idle frame folder for a type — its own, else its fallback type's —
+// or null. Only folders in the frames manifest count.
+function findIdleFolder(type) {
+  if (!type) return null;
+  return getAssetTypeCandidates(type).find((t) => getFolderInfo(t)) ?? null;
+}
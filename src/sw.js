@@ -0,0 +1,274 @@
+/**
+ * Service Worker
+ *
+ * Not bundled with the app — scripts/service-worker.js copies this file to
+ * dist/sw.js on build, filling in self.__SKIES_PRECACHE__:
+ *
+ *   {
+ *     version:      "3f9c2a1b7e",     ← changes whenever the build does
+ *     mediaVersion: "8b01d4c2e9",     ← changes whenever a frame or clip does
+ *     shell:        ["/", "/assets/index-….js", "/frames-manifest.json", …],
+ *     media:        { "480": { clips: […], folders: […] }, … },  ← per tier
+ *     tiers:        ["480", "720", "1080"],
+ *   }
+ *
+ * Install caches the shell only. The page then posts
+ * { type: "precache-media", tier } with its quality tier (unless Save-Data
+ * is on), and that tier's media is fetched in the background: its clips one
+ * at a time, idle clips first, then every frame of every frame folder,
+ * PRECACHE_CONCURRENCY at a time. Files already cached are skipped, so an
+ * interrupted run picks up where it stopped on the next visit.
+ *
+ * Strategies:
+ *   /frames/*, /videos/*          cache-first — frames and clips never change
+ *   forecast + geocoding APIs     network-first, falling back to the last response
+ *   Google Fonts                  cache-first
+ *   page loads, frames manifest   network-first, falling back to the precached copy
+ *   other same-origin requests    cache-first (build assets are content-hashed)
+ *
+ * A frame or clip that isn't cached yet is answered straight from the
+ * network — range requests included, so a clip starts playing at once —
+ * and the whole file is cached in the background. Offline, a frame or clip
+ * that isn't cached at the requested quality tier is served from any other
+ * tier that is. Beyond the precached media, the cache keeps at most
+ * MEDIA_CACHE_ENTRIES files, dropping the oldest.
+ */
+
+const PRECACHE = self.__SKIES_PRECACHE__;
+
+const SHELL_CACHE = `skies-shell-${PRECACHE.version}`;
+const MEDIA_CACHE = `skies-media-${PRECACHE.mediaVersion}`;
+const API_CACHE   = "skies-api-v1";
+const FONT_CACHE  = "skies-fonts-v1";
+const CURRENT_CACHES = [SHELL_CACHE, MEDIA_CACHE, API_CACHE, FONT_CACHE];
+
+const API_HOSTS  = ["api.open-meteo.com", "geocoding-api.open-meteo.com", "api.met.no", "nominatim.openstreetmap.org"];
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+// Give up on the network after this long and answer from the cache
+const NETWORK_TIMEOUT_MS = 6000;
+// API responses kept — every search keystroke is a distinct URL
+const API_CACHE_ENTRIES = 60;
+// Frames and clips kept besides the precached ones — about two
+// transitions' worth of frames
+const MEDIA_CACHE_ENTRIES = 2000;
+// The media cache is trimmed after this many new files, not on every one
+const MEDIA_TRIM_EVERY = 50;
+// Frames fetched at once while precaching a tier
+const PRECACHE_CONCURRENCY = 4;
+
+// Precached clips and frame folders (of any tier), which trimming leaves alone
+const PRECACHED_CLIPS = new Set(Object.values(PRECACHE.media).flatMap((tier) => tier.clips));
+const PRECACHED_DIRS  = Object.values(PRECACHE.media).flatMap((tier) => tier.folders.map((folder) => folder.dir));
+const isPrecachedMedia = (path) => PRECACHED_CLIPS.has(path) || PRECACHED_DIRS.some((dir) => path.startsWith(dir));
+
+const MEDIA_PATH = /^\/(frames|videos)\//;
+
+// ── Lifecycle ──────────────────────────────────────────────────────
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(PRECACHE.shell);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith("skies-") && !CURRENT_CACHES.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "precache-media") event.waitUntil(precacheMedia(event.data.tier));
+});
+
+// One tier's clips, then its frames. Best effort — anything that fails is
+// just fetched on first use.
+async function precacheMedia(tier) {
+  const media = PRECACHE.media[tier];
+  if (!media) return;
+  const cache = await caches.open(MEDIA_CACHE);
+
+  async function precacheFile(path) {
+    if (await cache.match(path)) return;
+    const response = await fetch(path).catch(() => null);
+    if (response?.ok) await cache.put(path, response).catch(() => {});
+  }
+
+  for (const path of media.clips) await precacheFile(path);
+
+  const frames = media.folders.flatMap(({ dir, prefix, pad, ext, frameCount }) =>
+    Array.from({ length: frameCount }, (_, i) => `${dir}${prefix}${String(i + 1).padStart(pad, "0")}${ext}`)
+  );
+  let next = 0;
+  async function worker() {
+    while (next < frames.length) await precacheFile(frames[next++]);
+  }
+  await Promise.all(Array.from({ length: PRECACHE_CONCURRENCY }, worker));
+}
+
+// ── Routing ────────────────────────────────────────────────────────
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (API_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(request, API_CACHE, { maxEntries: API_CACHE_ENTRIES }));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (MEDIA_PATH.test(url.pathname)) {
+    event.respondWith(mediaResponse(event, url.pathname));
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_CACHE, { fallbackUrl: "/" }));
+  } else if (url.pathname === "/frames-manifest.json") {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
+
+// ── Strategies ─────────────────────────────────────────────────────
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request, cacheName, { fallbackUrl, maxEntries } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await withTimeout(fetch(request), NETWORK_TIMEOUT_MS);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      if (maxEntries) await trimCache(cache, maxEntries);
+    }
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request) ?? (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// Frames and clips: cache-first, keyed by path. <video> asks for byte
+// ranges, but a 206 can't be cached — so on a miss the range is passed
+// through to the network while the whole file is fetched and cached in the
+// background, and later ranges are sliced out of the cached copy.
+async function mediaResponse(event, path) {
+  const { request } = event;
+  const range = request.headers.get("range");
+  const cache = await caches.open(MEDIA_CACHE);
+  let response = await cache.match(path);
+  if (!response) {
+    try {
+      if (range) {
+        response = await fetch(request);
+        event.waitUntil(fetchMedia(cache, path).catch(() => null));
+        return response;
+      }
+      response = await fetch(path);
+      if (response.ok) event.waitUntil(storeMedia(cache, path, response.clone()).catch(() => null));
+      return response;
+    } catch (e) {
+      response = await matchOtherTier(cache, path);
+      if (!response) throw e;
+    }
+  }
+  return range && response.ok ? rangeResponse(response, range) : response;
+}
+
+// Whole-file downloads in flight, so a clip's many range requests start one
+const pendingMedia = new Map();
+
+function fetchMedia(cache, path) {
+  if (!pendingMedia.has(path)) {
+    const pending = (async () => {
+      if (await cache.match(path)) return;
+      const response = await fetch(path);
+      if (response.ok) await storeMedia(cache, path, response);
+    })().finally(() => pendingMedia.delete(path));
+    pendingMedia.set(path, pending);
+  }
+  return pendingMedia.get(path);
+}
+
+let mediaPutsSinceTrim = 0;
+
+async function storeMedia(cache, path, response) {
+  await cache.put(path, response);
+  if (++mediaPutsSinceTrim >= MEDIA_TRIM_EVERY) {
+    mediaPutsSinceTrim = 0;
+    await trimCache(cache, MEDIA_CACHE_ENTRIES, isPrecachedMedia);
+  }
+}
+
+// The same asset at another quality tier, or untiered
+async function matchOtherTier(cache, path) {
+  const [, kind] = MEDIA_PATH.exec(path);
+  const rest = path.slice(kind.length + 2).replace(/^\d+\//, "");
+  const candidates = [`/${kind}/${rest}`, ...PRECACHE.tiers.map((tier) => `/${kind}/${tier}/${rest}`)];
+  for (const candidate of candidates) {
+    if (candidate === path) continue;
+    const cached = await cache.match(candidate);
+    if (cached) return cached;
+  }
+  return null;
+}
+
+async function rangeResponse(response, range) {
+  const blob = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  let start, end;
+  if (match && match[1] === "" && match[2] !== "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  } else if (match && match[1] !== "") {
+    start = Number(match[1]);
+    end = match[2] !== "" ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  }
+  if (start == null || start > end) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${blob.size}` } });
+  }
+  const slice = blob.slice(start, end + 1);
+  return new Response(slice, {
+    status: 206,
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") ?? "video/mp4",
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(slice.size),
+    },
+  });
+}
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("network timeout")), ms);
+    promise.then(
+      (value) => { clearTimeout(timer); resolve(value); },
+      (error) => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
+// Drop the oldest entries (cache.keys() is in insertion order), except
+// those whose path `keep` returns true for
+async function trimCache(cache, maxEntries, keep = () => false) {
+  const keys = (await cache.keys()).filter((key) => !keep(new URL(key.url).pathname));
+  for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) await cache.delete(key);
+}
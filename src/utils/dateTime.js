@@ -0,0 +1,122 @@
+/**
+ * Location-local date & time helpers
+ *
+ * Forecast dates ("2024-10-21") and sunrise/sunset stamps ("2024-10-21T07:42")
+ * arrive already in the *location's* local time with no offset attached.
+ * Feeding them to `new Date()` reinterprets them in UTC or in the browser's
+ * zone, which shifts day names and clock times for anyone looking at a city
+ * in another timezone. So we never do that: calendar dates are read from the
+ * string, and "now" is computed in the location's zone from the `timezone`
+ * (IANA name) or `utc_offset_seconds` the provider returns.
+ */
+
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * "2024-10-21" → { year, month (0-11), day, weekday (0-6) }
+ * Pure calendar math — no timezone involved.
+ */
+export function parseCalendarDate(dateStr) {
+  const [year, month, day] = dateStr.slice(0, 10).split("-").map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return { year, month: month - 1, day, weekday };
+}
+
+/**
+ * Whole days from dateStrA to dateStrB ("2024-10-21" → "2024-10-22" = 1).
+ */
+export function daysBetween(dateStrA, dateStrB) {
+  const a = parseCalendarDate(dateStrA);
+  const b = parseCalendarDate(dateStrB);
+  return Math.round((Date.UTC(b.year, b.month, b.day) - Date.UTC(a.year, a.month, a.day)) / 86400000);
+}
+
+export function getDayName(dateStr) {
+  return DAYS[parseCalendarDate(dateStr).weekday];
+}
+
+/** "2024-10-21" → "Oct 21" */
+export function formatShortDate(dateStr) {
+  const { month, day } = parseCalendarDate(dateStr);
+  return `${MONTHS[month]} ${day}`;
+}
+
+/** (7, 5) → "7:05" */
+export function formatClock(hour, minute) {
+  return `${hour}:${String(minute).padStart(2, "0")}`;
+}
+
+/**
+ * "2024-10-21T07:42" → "7:42", read straight off the location-local stamp.
+ */
+export function formatLocalTimeStamp(stamp) {
+  if (!stamp) return null;
+  const [hour, minute] = stamp.slice(11, 16).split(":").map(Number);
+  return formatClock(hour, minute);
+}
+
+/**
+ * "2024-10-21T07:42" → 462 (minutes since local midnight), or null.
+ */
+export function parseLocalMinutes(stamp) {
+  if (!stamp) return null;
+  const [hour, minute] = stamp.slice(11, 16).split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+// Length of the dawn/dusk crossfade, centred on sunrise and sunset
+const TWILIGHT_MINUTES = 60;
+
+/**
+ * How "night" a day's scene should look right now, from 0 (full day) to 1
+ * (full night), ramping linearly across TWILIGHT_MINUTES around sunrise and
+ * sunset. Only today follows the clock — other days, and days without
+ * sunrise/sunset data, always get 0.
+ */
+export function getNightAmount(day, now = new Date()) {
+  if (!day?.isToday || day.sunriseMinutes == null || day.sunsetMinutes == null) return 0;
+
+  const { hour, minute } = getLocationNow(day, now);
+  const t = hour * 60 + minute;
+  const half = TWILIGHT_MINUTES / 2;
+  const ramp = (edge) => Math.min(1, Math.max(0, (t - (edge - half)) / TWILIGHT_MINUTES));
+
+  // 1 → 0 across sunrise, then 0 → 1 across sunset
+  return 1 - ramp(day.sunriseMinutes) + ramp(day.sunsetMinutes);
+}
+
+/**
+ * Current date and time at the forecast location.
+ * Prefers the IANA zone (stays right across a DST change after the fetch);
+ * falls back to the fixed offset, then to the browser's own zone.
+ *
+ * Returns { dateStr: "2024-10-21", hour, minute }.
+ */
+export function getLocationNow({ timezone, utcOffsetSeconds } = {}, now = new Date()) {
+  if (timezone) {
+    try {
+      const parts = new Intl.DateTimeFormat("en-CA", {
+        timeZone: timezone,
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+      }).formatToParts(now);
+      const get = (type) => parts.find((p) => p.type === type).value;
+      return {
+        dateStr: `${get("year")}-${get("month")}-${get("day")}`,
+        hour: Number(get("hour")),
+        minute: Number(get("minute")),
+      };
+    } catch {
+      /* unknown zone name — use the offset below */
+    }
+  }
+
+  const offsetSeconds = utcOffsetSeconds ?? -now.getTimezoneOffset() * 60;
+  const shifted = new Date(now.getTime() + offsetSeconds * 1000);
+  return {
+    dateStr: shifted.toISOString().slice(0, 10),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+  };
+}
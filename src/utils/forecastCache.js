@@ -0,0 +1,90 @@
+/**
+ * Forecast Cache
+ *
+ * Persists the last good Open-Meteo response per location in IndexedDB so the
+ * app can paint a forecast instantly — and keep working offline — while a
+ * fresh one is fetched in the background (stale-while-revalidate).
+ *
+ * Entries are keyed by lat/lon rounded to 2 decimals (~1 km), so GPS jitter
+ * and the quick-pick coordinates for the same city share one entry. Keys are
+ * prefixed with the provider id because the stored responses are raw,
+ * provider-specific payloads.
+ *
+ * The cache is best-effort: if IndexedDB is unavailable (private mode, old
+ * browsers) every read resolves to null and every write is a no-op.
+ */
+
+import { activeProvider } from "./providers";
+
+const DB_NAME = "skies";
+const DB_VERSION = 1;
+const STORE_NAME = "forecasts";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+/**
+ * Cache key for a location, e.g. "open-meteo:48.86,2.35".
+ */
+export function getCacheKey(lat, lon) {
+  return `${activeProvider.id}:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+}
+
+/**
+ * Read the cached forecast for a location.
+ * Resolves to { data, fetchedAt } or null if nothing is cached.
+ */
+export async function readCachedForecast(lat, lon) {
+  try {
+    const db = await openDb();
+    return await new Promise((resolve, reject) => {
+      const req = db
+        .transaction(STORE_NAME, "readonly")
+        .objectStore(STORE_NAME)
+        .get(getCacheKey(lat, lon));
+      req.onsuccess = () => {
+        const entry = req.result;
+        resolve(entry ? { data: entry.data, fetchedAt: entry.fetchedAt } : null);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  } catch (e) {
+    // No IndexedDB (private mode, old browsers) — run uncached, quietly
+    if (import.meta.env.DEV) console.warn("[forecastCache] read failed:", e);
+    return null;
+  }
+}
+
+/**
+ * Store a raw API response for a location, stamped with its fetch time.
+ */
+export async function writeCachedForecast(lat, lon, data, fetchedAt = Date.now()) {
+  try {
+    const db = await openDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readwrite");
+      tx.objectStore(STORE_NAME).put({ key: getCacheKey(lat, lon), data, fetchedAt });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (e) {
+    if (import.meta.env.DEV) console.warn("[forecastCache] write failed:", e);
+  }
+}
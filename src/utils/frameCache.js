@@ -0,0 +1,173 @@
+/**
+ * Frame Cache
+ *
+ * Memory-bounded LRU cache for loaded frames, keyed by frame URL. Each entry
+ * holds the loaded <img> and, once decoded, its ImageBitmap:
+ *
+ *   url → { folder, img, bitmap, bytes }
+ *
+ * Sizes are estimated as decoded RGBA (width × height × 4) for the image and
+ * again for the bitmap, which is roughly what the browser keeps resident.
+ * When the cache goes over its byte or frame budget, least-recently-used
+ * entries are dropped (and their bitmaps closed). Frames of pinned folders
+ * are never evicted; pinnedFull() tells the preloader when they fill the
+ * budget on their own, so it stops adding more.
+ */
+
+const MB = 1024 * 1024;
+
+// Phones report ≤ 4 GB via navigator.deviceMemory (Chromium only) and are
+// the ones that kill the tab, so they get a smaller default budget
+function defaultMaxBytes() {
+  const memory = typeof navigator !== "undefined" ? navigator.deviceMemory : undefined;
+  return memory && memory <= 4 ? 96 * MB : 256 * MB;
+}
+
+function estimateBytes({ img, bitmap }) {
+  let bytes = 0;
+  if (img) bytes += (img.naturalWidth || img.width || 0) * (img.naturalHeight || img.height || 0) * 4;
+  if (bitmap && bitmap !== img) bytes += (bitmap.width || 0) * (bitmap.height || 0) * 4;
+  return bytes;
+}
+
+/**
+ * Create an LRU frame cache.
+ * Options: { maxBytes, maxFrames } — either limit triggers eviction.
+ */
+export function createFrameCache({ maxBytes = defaultMaxBytes(), maxFrames = Infinity } = {}) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+  const pinned = new Set();
+  const budget = { maxBytes, maxFrames };
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  function touch(url, entry) {
+    entries.delete(url);
+    entries.set(url, entry);
+  }
+
+  function release(url, entry) {
+    entry.bitmap?.close?.();
+    totalBytes -= entry.bytes;
+    entries.delete(url);
+  }
+
+  const overBudget = () => totalBytes > budget.maxBytes || entries.size > budget.maxFrames;
+
+  // Oldest unpinned frames first
+  function evict() {
+    for (const [url, entry] of entries) {
+      if (!overBudget()) return;
+      if (pinned.has(entry.folder)) continue;
+      release(url, entry);
+      evictions++;
+    }
+  }
+
+  function remeasure(entry) {
+    const bytes = estimateBytes(entry);
+    totalBytes += bytes - entry.bytes;
+    entry.bytes = bytes;
+  }
+
+  return {
+    /** Look up an entry and mark it recently used. Counts as a hit or miss. */
+    get(url) {
+      const entry = entries.get(url);
+      if (!entry) {
+        misses++;
+        return null;
+      }
+      hits++;
+      touch(url, entry);
+      return entry;
+    },
+
+    /** Look up an entry without touching recency or stats. */
+    peek(url) {
+      return entries.get(url) ?? null;
+    },
+
+    has(url) {
+      return entries.has(url);
+    },
+
+    /** Store a loaded image for `folder`, then evict down to budget. */
+    setImage(url, folder, img) {
+      const existing = entries.get(url);
+      const entry = existing ?? { folder, img: null, bitmap: null, bytes: 0 };
+      entry.img = img;
+      remeasure(entry);
+      touch(url, entry);
+      evict();
+      return entry;
+    },
+
+    /** Attach (or with null, release) the decoded bitmap of a cached frame. */
+    setBitmap(url, bitmap) {
+      const entry = entries.get(url);
+      if (!entry) {
+        bitmap?.close?.();
+        return;
+      }
+      if (entry.bitmap && entry.bitmap !== bitmap) entry.bitmap.close?.();
+      entry.bitmap = bitmap;
+      remeasure(entry);
+      evict();
+    },
+
+    /** Entries of one folder, as [url, entry] pairs. */
+    *folderEntries(folder) {
+      for (const pair of entries) {
+        if (pair[1].folder === folder) yield pair;
+      }
+    },
+
+    /** Whether frames of pinned folders alone fill the budget. */
+    pinnedFull() {
+      let bytes = 0;
+      let count = 0;
+      for (const entry of entries.values()) {
+        if (!pinned.has(entry.folder)) continue;
+        bytes += entry.bytes;
+        count++;
+      }
+      return bytes >= budget.maxBytes || count >= budget.maxFrames;
+    },
+
+    /** Replace the set of pinned folders (null/undefined names are ignored). */
+    pin(folders) {
+      pinned.clear();
+      for (const folder of folders) if (folder) pinned.add(folder);
+      evict();
+    },
+
+    setBudget(next) {
+      if (next.maxBytes != null) budget.maxBytes = next.maxBytes;
+      if (next.maxFrames != null) budget.maxFrames = next.maxFrames;
+      evict();
+    },
+
+    stats() {
+      const lookups = hits + misses;
+      let decodedFrames = 0;
+      for (const entry of entries.values()) if (entry.bitmap) decodedFrames++;
+      return {
+        residentFrames: entries.size,
+        decodedFrames,
+        estimatedBytes: totalBytes,
+        estimatedMB: Math.round((totalBytes / MB) * 10) / 10,
+        maxBytes: budget.maxBytes,
+        maxFrames: budget.maxFrames,
+        hits,
+        misses,
+        hitRate: lookups ? hits / lookups : null,
+        evictions,
+        pinned: [...pinned],
+      };
+    },
+  };
+}
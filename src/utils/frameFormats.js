@@ -0,0 +1,34 @@
+/**
+ * Frame naming formats
+ *
+ * Shared by the browser loader (frameLoader.js) and the Node build scripts
+ * (scripts/frames-manifest.js) so both agree on what a frame file is called.
+ */
+
+// Naming format candidates tried in order
+export const FORMAT_CANDIDATES = [
+  // { prefix, pad, ext }
+  { prefix: "frame_",        pad: 4, ext: ".jpg" }, // frame_0001.jpg
+  { prefix: "ezgif-frame-",  pad: 3, ext: ".jpg" }, // ezgif-frame-001.jpg
+  { prefix: "ezgif-frame-",  pad: 4, ext: ".jpg" }, // ezgif-frame-0001.jpg
+  { prefix: "frame-",        pad: 3, ext: ".jpg" }, // frame-001.jpg
+  { prefix: "frame-",        pad: 4, ext: ".jpg" }, // frame-0001.jpg
+  { prefix: "",              pad: 4, ext: ".jpg" }, // 0001.jpg
+  { prefix: "",              pad: 3, ext: ".jpg" }, // 001.jpg
+  { prefix: "frame_",        pad: 4, ext: ".png" }, // frame_0001.png
+  { prefix: "ezgif-frame-",  pad: 3, ext: ".png" }, // ezgif-frame-001.png
+];
+
+/**
+ * File name of frame `index` (1-based) in the given format.
+ */
+export function formatFrameName(index, fmt) {
+  return `${fmt.prefix}${String(index).padStart(fmt.pad, "0")}${fmt.ext}`;
+}
+
+/**
+ * Human-readable pattern, e.g. "ezgif-frame-NNN.png".
+ */
+export function describeFormat(fmt) {
+  return `${fmt.prefix}${"N".repeat(fmt.pad)}${fmt.ext}`;
+}
@@ -10,8 +10,11 @@
  *   frame-001.jpg           ← generic 3-digit
  *   0001.jpg                ← bare number
  *
- * The loader probes the first frame to detect which format the folder uses,
- * caches that result, and uses it for all subsequent loads from that folder.
+ * Folder formats, frame counts and dimensions come from /frames-manifest.json,
+ * generated at build time by scripts/frames-manifest.js — no network probing.
+ * In dev only, folders missing from the manifest are probed instead: the
+ * loader tries the first frame in each format, binary-searches the count,
+ * and caches the result.
  *
  * Folder structure:
  * /public/frames/
@@ -24,46 +27,111 @@
  *   rainy_to_cloudy/ ← transition (same naming rules)
  *   sunny_to_rainy/
  *   ... etc
+ *   720/sunny_to_rainy/  ← the same folder at a quality tier (see quality.js)
+ *
+ * Folders and clips the manifest lists in several tiers load from the one
+ * matching the current quality tier. Frame URLs include the tier, so frames
+ * of a tier no longer in use simply age out of the cache.
  */
 
+import { FORMAT_CANDIDATES, formatFrameName, describeFormat } from "./frameFormats";
+import { createFrameCache } from "./frameCache";
+import { pickAvailableTier } from "./quality";
+
 const FRAMES_BASE_PATH = "/frames";
+const VIDEOS_BASE_PATH = "/videos";
+const MANIFEST_URL = "/frames-manifest.json";
 const DEFAULT_FRAME_COUNT = 1000;
 
-// Naming format candidates tried in order
-const FORMAT_CANDIDATES = [
-  // { prefix, pad, ext }
-  { prefix: "frame_",        pad: 4, ext: ".jpg" }, // frame_0001.jpg
-  { prefix: "ezgif-frame-",  pad: 3, ext: ".jpg" }, // ezgif-frame-001.jpg
-  { prefix: "ezgif-frame-",  pad: 4, ext: ".jpg" }, // ezgif-frame-0001.jpg
-  { prefix: "frame-",        pad: 3, ext: ".jpg" }, // frame-001.jpg
-  { prefix: "frame-",        pad: 4, ext: ".jpg" }, // frame-0001.jpg
-  { prefix: "",              pad: 4, ext: ".jpg" }, // 0001.jpg
-  { prefix: "",              pad: 3, ext: ".jpg" }, // 001.jpg
-  { prefix: "frame_",        pad: 4, ext: ".png" }, // frame_0001.png
-  { prefix: "ezgif-frame-",  pad: 3, ext: ".png" }, // ezgif-frame-001.png
-];
-
 // Detected format per folder: Map<folderName, formatObject | null>
 const folderFormats = new Map();
 
-// Frame image cache: Map<url, HTMLImageElement>
-const frameCache = new Map();
+// Loaded + decoded frames, LRU-evicted to a memory budget (see frameCache.js)
+const frameCache = createFrameCache();
 
 // Frame count per folder (detected or default)
 const folderFrameCounts = new Map();
 
+// Clips in /videos, by name without .mp4 (from the manifest)
+const manifestVideos = new Set();
+
+// Manifest entry per folder: Map<folderName, { width, height, duration?, easing?, fps?, loop? }>
+const folderInfo = new Map();
+
+// Quality tiers each folder / clip ships in, if any: Map<name, ["480", …]>
+const folderTiers = new Map();
+const videoTiers = new Map();
+
+let manifestPromise = null;
+
+/**
+ * Fetch /frames-manifest.json once and seed the format/count caches from it.
+ * Resolves to true if a manifest was loaded.
+ */
+export function loadFramesManifest() {
+  if (manifestPromise) return manifestPromise;
+
+  manifestPromise = fetch(MANIFEST_URL)
+    .then((res) => (res.ok ? res.json() : null))
+    .then((manifest) => {
+      if (!manifest?.folders) return false;
+      for (const [name, entry] of Object.entries(manifest.folders)) {
+        const { format, frameCount, tiers, ...info } = entry;
+        folderFormats.set(name, format);
+        folderFrameCounts.set(name, frameCount);
+        folderInfo.set(name, info);
+        if (tiers) folderTiers.set(name, tiers);
+      }
+      for (const name of manifest.videos ?? []) manifestVideos.add(name);
+      for (const [name, tiers] of Object.entries(manifest.videoTiers ?? {})) videoTiers.set(name, tiers);
+      return true;
+    })
+    .catch(() => false);
+  return manifestPromise;
+}
+
+/**
+ * Manifest details for a folder — { width, height, duration?, easing?, fps?, loop? } —
+ * or null if the folder isn't in the manifest (or it hasn't loaded yet).
+ */
+export function getFolderInfo(folderName) {
+  return folderInfo.get(folderName) ?? null;
+}
+
+/**
+ * Names of every frame folder in the manifest (empty until it has loaded).
+ */
+export function getManifestFolderNames() {
+  return [...folderInfo.keys()];
+}
+
+/**
+ * Names of every clip in /videos per the manifest, without .mp4
+ * (empty until it has loaded).
+ */
+export function getManifestVideoNames() {
+  return [...manifestVideos];
+}
+
 /**
- * Probe a folder to find which naming format it uses.
+ * Find which naming format a folder uses.
+ * Answers from the manifest; only in dev does it fall back to probing.
  * Returns the matched format object, or null if nothing found.
  */
 async function detectFormat(folderName) {
+  await loadFramesManifest();
   if (folderFormats.has(folderName)) return folderFormats.get(folderName);
 
+  if (!import.meta.env.DEV) {
+    folderFormats.set(folderName, null);
+    return null;
+  }
+
   for (const fmt of FORMAT_CANDIDATES) {
     const url = buildUrl(folderName, 1, fmt);
     const found = await probeUrl(url);
     if (found) {
-      console.log(`[frameLoader] "${folderName}" → detected format: ${fmt.prefix}${"N".repeat(fmt.pad)}${fmt.ext}`);
+      console.log(`[frameLoader] "${folderName}" → detected format: ${describeFormat(fmt)} (not in manifest, probed)`);
       folderFormats.set(folderName, fmt);
       return fmt;
     }
@@ -75,8 +143,18 @@ async function detectFormat(folderName) {
 }
 
 function buildUrl(folderName, index, fmt) {
-  const padded = String(index).padStart(fmt.pad, "0");
-  return `${FRAMES_BASE_PATH}/${folderName}/${fmt.prefix}${padded}${fmt.ext}`;
+  const tier = pickAvailableTier(folderTiers.get(folderName));
+  const dir  = tier ? `${tier}/${folderName}` : folderName;
+  return `${FRAMES_BASE_PATH}/${dir}/${formatFrameName(index, fmt)}`;
+}
+
+/**
+ * URL of a clip in /videos (name without .mp4), at the current quality
+ * tier if the manifest lists it in tiers.
+ */
+export function getVideoUrl(name) {
+  const tier = pickAvailableTier(videoTiers.get(name));
+  return `${VIDEOS_BASE_PATH}/${tier ? `${tier}/` : ""}${name}.mp4`;
 }
 
 function probeUrl(url) {
@@ -109,7 +187,8 @@ export async function checkFolderExists(folderName) {
 
 /**
  * Get total frame count for a folder.
- * Detects the actual count by binary-searching for the last valid frame.
+ * Comes from the manifest; folders probed in dev binary-search for the
+ * last valid frame instead.
  * Falls back to DEFAULT_FRAME_COUNT if detection is skipped.
  */
 export async function getFolderFrameCount(folderName) {
@@ -149,24 +228,43 @@ export function progressToFrameSync(progress, folderName) {
   return Math.max(1, Math.min(total, Math.round(progress * total)));
 }
 
+/**
+ * Frame index of an idle loop `elapsedMs` into playback.
+ *   mode "loop":     1 → N, 1 → N, …
+ *   mode "pingpong": 1 → N → 1 → N, … (for clips that don't loop seamlessly)
+ */
+export function idleFrameAt(folderName, elapsedMs, { fps, mode = "loop" }) {
+  const total = folderFrameCounts.get(folderName) ?? DEFAULT_FRAME_COUNT;
+  const step = Math.floor((elapsedMs * fps) / 1000);
+  if (mode !== "pingpong" || total < 2) return (step % total) + 1;
+  const t = step % (2 * total - 2);
+  return t < total ? t + 1 : 2 * total - t - 1;
+}
+
+function loadImage(url, folderName) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => { frameCache.setImage(url, folderName, img); resolve(img); };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
 /**
  * Preload a range of frames for a folder into the image cache.
+ * With { decode: true } each frame is also decoded into an ImageBitmap.
  */
-export async function preloadFrameRange(folderName, startFrame, endFrame) {
+export async function preloadFrameRange(folderName, startFrame, endFrame, { decode = false } = {}) {
   const fmt = folderFormats.get(folderName);
   if (!fmt) return;
 
   const promises = [];
   for (let i = startFrame; i <= endFrame; i++) {
     const url = buildUrl(folderName, i, fmt);
-    if (!frameCache.has(url)) {
-      const p = new Promise((resolve) => {
-        const img = new Image();
-        img.onload = () => { frameCache.set(url, img); resolve(img); };
-        img.onerror = () => resolve(null);
-        img.src = url;
-      });
-      promises.push(p);
+    if (decode) {
+      promises.push(decodeFrame(folderName, i));
+    } else if (!frameCache.has(url)) {
+      promises.push(loadImage(url, folderName));
     }
   }
   return Promise.all(promises);
@@ -180,26 +278,171 @@ export async function preloadSceneInitial(folderName, count = 60) {
 }
 
 /**
- * Background-preload all frames for a transition folder in chunks.
+ * Background-preload all frames for a transition folder in chunks. Stops
+ * once the pinned folders fill the cache budget — pinned frames are never
+ * evicted, so past that point it would only grow the cache beyond it; the
+ * rest load around the playhead as the transition plays.
  */
 export async function preloadTransition(folderName) {
   if (!folderName) return;
   const total = await getFolderFrameCount(folderName);
   const chunkSize = 50;
   for (let start = 1; start <= total; start += chunkSize) {
+    if (frameCache.pinnedFull()) return;
     const end = Math.min(start + chunkSize - 1, total);
     await preloadFrameRange(folderName, start, end);
     await new Promise((r) => setTimeout(r, 8)); // yield to browser
   }
 }
 
+// ── Decoded frames ──────────────────────────────────────────────────
+// Assigning img.src mid-animation makes the browser decode on the main
+// thread right when the frame is needed, which stutters. Instead, frames
+// around the playhead are decoded ahead of time into ImageBitmaps that the
+// canvas renderer can blit instantly.
+
+// Decoded bitmaps live on their frameCache entry (entry.bitmap). Where
+// createImageBitmap isn't supported, the decoded <img> itself stands in.
+
+// In-flight decodes: Map<url, Promise>
+const pendingDecodes = new Map();
+
+/**
+ * Decode one frame into an ImageBitmap (loading it first if needed).
+ * Resolves to the decoded frame, or null if it couldn't be loaded.
+ */
+export function decodeFrame(folderName, frameIndex) {
+  const fmt = folderFormats.get(folderName);
+  if (!fmt) return Promise.resolve(null);
+
+  const url = buildUrl(folderName, frameIndex, fmt);
+  const cached = frameCache.peek(url);
+  if (cached?.bitmap) return Promise.resolve(cached.bitmap);
+  if (pendingDecodes.has(url)) return pendingDecodes.get(url);
+
+  const promise = (async () => {
+    const img = cached?.img ?? await loadImage(url, folderName);
+    if (!img) return null;
+    let decoded = img;
+    if (typeof createImageBitmap === "function") {
+      decoded = await createImageBitmap(img);
+    } else {
+      await img.decode?.().catch(() => {});
+    }
+    frameCache.setBitmap(url, decoded);
+    // Null if the entry was evicted while decoding
+    return frameCache.peek(url)?.bitmap ?? null;
+  })()
+    .catch(() => null)
+    .finally(() => pendingDecodes.delete(url));
+
+  pendingDecodes.set(url, promise);
+  return promise;
+}
+
+/**
+ * Keep a decode-ahead window around the playhead: decodes frames in
+ * [center - behind, center + ahead], nearest first, and releases decoded
+ * frames of this folder that fall more than `keep` frames away.
+ * `onDecoded(frameIndex)` fires as each new frame becomes available.
+ */
+export function decodeAround(folderName, center, { ahead = 24, behind = 8, keep = 48, onDecoded } = {}) {
+  const fmt = folderFormats.get(folderName);
+  if (!fmt) return;
+  const total = folderFrameCounts.get(folderName) ?? DEFAULT_FRAME_COUNT;
+
+  // Nearest first, alternating forward/back, biased ahead
+  const order = [center];
+  for (let d = 1; d <= Math.max(ahead, behind); d++) {
+    if (d <= ahead) order.push(center + d);
+    if (d <= behind) order.push(center - d);
+  }
+  for (const i of order) {
+    if (i < 1 || i > total) continue;
+    const url = buildUrl(folderName, i, fmt);
+    if (frameCache.peek(url)?.bitmap || pendingDecodes.has(url)) continue;
+    decodeFrame(folderName, i).then((frame) => { if (frame) onDecoded?.(i); });
+  }
+
+  // Collect first — releasing while iterating would reorder the LRU
+  const stale = [];
+  for (const [url, entry] of frameCache.folderEntries(folderName)) {
+    if (entry.bitmap && Math.abs(frameIndexFromUrl(url, fmt) - center) > keep) stale.push(url);
+  }
+  for (const url of stale) frameCache.setBitmap(url, null);
+}
+
+function frameIndexFromUrl(url, fmt) {
+  const name = url.slice(url.lastIndexOf("/") + 1);
+  return Number(name.slice(fmt.prefix.length, name.length - fmt.ext.length));
+}
+
+/**
+ * The decoded frame closest to `frameIndex` (the exact one if ready),
+ * searching up to `maxDistance` frames either way. Null if none.
+ */
+export function getNearestDecodedFrame(folderName, frameIndex, maxDistance = 120) {
+  const fmt = folderFormats.get(folderName);
+  if (!fmt) return null;
+  // The exact frame is the one we wanted — that lookup feeds the hit rate
+  const exact = frameCache.get(buildUrl(folderName, frameIndex, fmt));
+  if (exact?.bitmap) return exact.bitmap;
+  for (let d = 1; d <= maxDistance; d++) {
+    const before = frameCache.peek(buildUrl(folderName, frameIndex - d, fmt));
+    if (before?.bitmap) return before.bitmap;
+    const after = frameCache.peek(buildUrl(folderName, frameIndex + d, fmt));
+    if (after?.bitmap) return after.bitmap;
+  }
+  return null;
+}
+
+/**
+ * Whether a frame is decoded and ready to draw (doesn't touch cache stats).
+ */
+export function isFrameDecoded(folderName, frameIndex) {
+  const fmt = folderFormats.get(folderName);
+  return Boolean(fmt && frameCache.peek(buildUrl(folderName, frameIndex, fmt))?.bitmap);
+}
+
 /**
- * Get a cached HTMLImageElement for a frame (or null if not preloaded).
+ * Get a cached frame — the decoded ImageBitmap if there is one, else the
+ * loaded HTMLImageElement — or null if not preloaded. Both are drawable.
  */
 export function getCachedFrame(folderName, frameIndex) {
   const fmt = folderFormats.get(folderName);
   if (!fmt) return null;
-  return frameCache.get(buildUrl(folderName, frameIndex, fmt)) || null;
+  const entry = frameCache.peek(buildUrl(folderName, frameIndex, fmt));
+  return entry?.bitmap || entry?.img || null;
+}
+
+// ── Cache budget & pinning ──────────────────────────────────────────
+
+/**
+ * Pin frame folders so their frames are never evicted — the transition on
+ * screen and the one coming up next. Replaces any previous pins.
+ */
+export function pinFrameFolders(folderNames) {
+  frameCache.pin(folderNames);
+}
+
+/**
+ * Change the cache budget: { maxBytes?, maxFrames? }. Evicts immediately.
+ */
+export function setFrameCacheBudget(budget) {
+  frameCache.setBudget(budget);
+}
+
+/**
+ * Cache stats for debugging — resident/decoded frames, estimated bytes,
+ * hit rate, evictions and pinned folders. In dev, also available from the
+ * console as `skiesFrameCache()`.
+ */
+export function getFrameCacheStats() {
+  return frameCache.stats();
+}
+
+if (import.meta.env.DEV && typeof window !== "undefined") {
+  window.skiesFrameCache = getFrameCacheStats;
 }
 
 export { DEFAULT_FRAME_COUNT as FRAME_COUNT };
@@ -0,0 +1,82 @@
+/**
+ * Transition Timing & Jump Planning
+ *
+ * How long a day change plays and along which curve, and how a jump across
+ * several days breaks down into hops. A transition's duration and easing
+ * come from the frames manifest when its folders set them, else the
+ * defaults below. A multi-day jump plays one hop per change of weather,
+ * squeezed into MAX_JUMP_MS — see App's jumpToDay().
+ */
+
+import { getTransitionKey } from "./weatherTypes";
+import { getFolderInfo } from "./frameLoader";
+import { resolveTransition } from "./transitionGraph";
+
+// Easing: ease-in-out cubic
+export function easeInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Named easings a transition folder can pick in its meta.json
+export const EASINGS = {
+  linear:  (t) => t,
+  easeIn:  (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut,
+};
+
+// Duration of a full forward transition in ms
+export const TRANSITION_DURATION = 1400;
+
+// Reduced motion: every day change is a crossfade this long, whatever the
+// frames manifest says
+export const CALM_TRANSITION = { duration: 500, ease: easeInOut };
+
+// Duration/easing for a transition: from the frames manifest entries of the
+// folders the transition graph picks, else the defaults. A two-leg route
+// runs its legs back to back.
+export function resolveTransitionTiming(fromType, toType) {
+  const { segments } = resolveTransition(fromType, toType);
+  const infos = segments.map((seg) => getFolderInfo(seg.key));
+  if (!infos.some((info) => info?.duration)) {
+    return { duration: TRANSITION_DURATION, ease: EASINGS[infos[0]?.easing] ?? easeInOut };
+  }
+  const legDefault = TRANSITION_DURATION / segments.length;
+  return {
+    duration: infos.reduce((sum, info) => sum + (info?.duration ?? legDefault), 0),
+    ease: (segments.length === 1 && EASINGS[infos[0]?.easing]) || easeInOut,
+  };
+}
+
+// ── Multi-day jumps ───────────────────────────────────────────────
+// A jump across several days plays its transitions back to back, squeezed
+// into at most this long in total
+export const MAX_JUMP_MS = 2400;
+
+/**
+ * Plan a jump from day `from` to day `to` as a list of hops
+ * { to, fromType, toType }, given each day's scene type.
+ *   - a direct {a}_to_{c} frame folder turns the whole jump into one hop
+ *   - otherwise there's one hop per change of type, landing on the last day
+ *     of each run of identical types (sunny, sunny, rainy → one hop)
+ *   - a jump that never changes type is a single hop
+ */
+export function planJumpHops(types, from, to) {
+  const fromType = types[from];
+  const toType   = types[to];
+  const directKey = getTransitionKey(fromType, toType);
+  if (directKey && getFolderInfo(directKey)) return [{ to, fromType, toType }];
+
+  const step = Math.sign(to - from);
+  const hops = [];
+  let runType = fromType;
+  for (let i = from + step; i !== to + step; i += step) {
+    if (types[i] !== runType) {
+      hops.push({ to: i, fromType: runType, toType: types[i] });
+      runType = types[i];
+    } else if (hops.length) {
+      hops[hops.length - 1].to = i;
+    }
+  }
+  return hops.length ? hops : [{ to, fromType, toType }];
+}
@@ -0,0 +1,64 @@
+/**
+ * Motion Preference
+ *
+ * "Calm" presentation for people who'd rather not have things move: each
+ * weather type shows a still poster frame instead of its looping clip,
+ * day changes crossfade briefly instead of playing transition frames,
+ * headings appear without their letter-by-letter reveal and the
+ * procedural scene's particles hold still. Day navigation works exactly as
+ * before.
+ *
+ * Settings → Motion picks "full" or "reduced", or "auto" to follow the
+ * system's prefers-reduced-motion setting (tracked live). The choice is
+ * persisted in localStorage.
+ */
+
+const STORAGE_KEY = "skies.motion";
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+export const MOTION_OPTIONS = [
+  { id: "auto",    label: "Auto" },
+  { id: "full",    label: "Full" },
+  { id: "reduced", label: "Reduced" },
+];
+
+export function loadMotionPreference() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return MOTION_OPTIONS.some((opt) => opt.id === stored) ? stored : "auto";
+  } catch {
+    return "auto";
+  }
+}
+
+export function saveMotionPreference(preference) {
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch {
+    // Storage full or disabled — the choice just won't persist
+  }
+}
+
+// ── System setting ─────────────────────────────────────────────────
+
+/** Whether the OS / browser asks for reduced motion. */
+export function getSystemReducedMotion() {
+  return typeof window !== "undefined" && Boolean(window.matchMedia?.(REDUCED_MOTION_QUERY).matches);
+}
+
+/**
+ * Subscribe to changes of the system setting (shaped for
+ * useSyncExternalStore). Returns an unsubscribe function.
+ */
+export function subscribeSystemReducedMotion(listener) {
+  const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+  if (!query) return () => {};
+  query.addEventListener("change", listener);
+  return () => query.removeEventListener("change", listener);
+}
+
+/** Whether to present calmly, given the preference and the system setting. */
+export function isReducedMotion(preference, systemReduced) {
+  return preference === "reduced" || (preference === "auto" && systemReduced);
+}
@@ -0,0 +1,95 @@
+/**
+ * Fixture provider — offline development data
+ *
+ * Generates an Open-Meteo-shaped response for a fixed week that walks
+ * through every weather type, so scenes and transitions can be worked on
+ * without network access or waiting for the right weather. Dates are
+ * anchored to today so "Today"/"Tomorrow" labels behave normally.
+ *
+ * Normalizing is delegated to the Open-Meteo adapter.
+ */
+
+import openMeteo from "./openMeteo";
+
+// One entry per day: [weatherCode, tempMax, tempMin, precipSum, precipProb, windMax, uvMax]
+const WEEK = [
+  [0,  24, 14, 0.0,  0,  12, 6.5],
+  [2,  21, 13, 0.0,  10, 18, 5.1],
+  [63, 16, 11, 12.4, 85, 24, 2.0],
+  [95, 18, 12, 22.8, 90, 38, 1.4],
+  [3,  14, 8,  0.2,  20, 52, 2.2],
+  [45, 11, 7,  0.0,  5,  6,  1.0],
+  [73, 1,  -4, 8.6,  75, 16, 0.8],
+];
+
+const SIMULATED_LATENCY_MS = 300;
+
+function isoDate(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function buildResponse() {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+
+  const dates = WEEK.map((_, i) => {
+    const d = new Date(start);
+    d.setDate(start.getDate() + i);
+    return isoDate(d);
+  });
+
+  const hourly = { time: [], temperature_2m: [], weather_code: [], wind_speed_10m: [] };
+  dates.forEach((date, i) => {
+    const [code, max, min, , , wind] = WEEK[i];
+    for (let h = 0; h < 24; h++) {
+      // Coldest around 05:00, warmest around 17:00
+      const t = (1 - Math.cos(((h - 5 + 24) % 24) / 24 * Math.PI * 2)) / 2;
+      hourly.time.push(`${date}T${String(h).padStart(2, "0")}:00`);
+      hourly.temperature_2m.push(min + (max - min) * t);
+      hourly.weather_code.push(code);
+      hourly.wind_speed_10m.push(wind * (0.6 + 0.4 * t));
+    }
+  });
+
+  return {
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    utc_offset_seconds: -start.getTimezoneOffset() * 60,
+    daily: {
+      time: dates,
+      weather_code: WEEK.map((d) => d[0]),
+      temperature_2m_max: WEEK.map((d) => d[1]),
+      temperature_2m_min: WEEK.map((d) => d[2]),
+      apparent_temperature_max: WEEK.map((d) => d[1] - 1),
+      apparent_temperature_min: WEEK.map((d) => d[2] - 2),
+      precipitation_sum: WEEK.map((d) => d[3]),
+      precipitation_probability_max: WEEK.map((d) => d[4]),
+      wind_speed_10m_max: WEEK.map((d) => d[5]),
+      wind_gusts_10m_max: WEEK.map((d) => d[5] * 1.6),
+      wind_direction_10m_dominant: WEEK.map((_, i) => (200 + i * 25) % 360),
+      uv_index_max: WEEK.map((d) => d[6]),
+      sunrise: dates.map((date) => `${date}T07:12`),
+      sunset: dates.map((date) => `${date}T18:48`),
+    },
+    hourly,
+    current: {
+      temperature_2m: WEEK[0][1] - 3,
+      weather_code: WEEK[0][0],
+      wind_speed_10m: WEEK[0][5],
+      relative_humidity_2m: 58,
+      apparent_temperature: WEEK[0][1] - 4,
+    },
+  };
+}
+
+async function fetchForecast() {
+  await new Promise((r) => setTimeout(r, SIMULATED_LATENCY_MS));
+  return buildResponse();
+}
+
+export default {
+  id: "fixture",
+  label: "Local fixture",
+  fetch: fetchForecast,
+  normalize: openMeteo.normalize,
+};
@@ -0,0 +1,58 @@
+/**
+ * Forecast Providers
+ *
+ * Every provider exposes the same two-step interface:
+ *
+ *   fetch(lat, lon)  → raw response (whatever the upstream API returns;
+ *                      this is what the forecast cache stores)
+ *   normalize(raw)   → NormalizedForecast (below)
+ *
+ * `processWeatherDays` in weatherApi.js turns a NormalizedForecast into the
+ * day objects the UI renders, so WeatherCard and App never see provider
+ * field names.
+ *
+ * The provider is chosen per deployment with the VITE_WEATHER_PROVIDER
+ * environment variable ("open-meteo" by default).
+ *
+ * NormalizedForecast:
+ *   {
+ *     timezone,               // IANA name ("Europe/Paris") or null
+ *     utcOffsetSeconds,       // location's offset from UTC, or null
+ *     days: [{
+ *       date,                 // "2024-10-21" (location-local)
+ *       weatherCode,          // WMO code
+ *       tempMax, tempMin,     // °C
+ *       feelsLikeMax, feelsLikeMin,   // °C or null
+ *       precipitationSum,     // mm or null
+ *       precipProbability,    // % or null
+ *       windSpeedMax,         // km/h
+ *       windGustsMax,         // km/h or null
+ *       windDirection,        // degrees or null
+ *       uvIndex,              // or null
+ *       sunrise, sunset,      // "2024-10-21T07:42" (location-local) or null
+ *       hourly: [{ time, hour, temp, weatherCode, windSpeed }],
+ *     }],
+ *     current: { temp, weatherCode, windSpeed, humidity, feelsLike } | null,
+ *   }
+ */
+
+import openMeteo from "./openMeteo";
+import metNorway from "./metNorway";
+import fixture from "./fixture";
+
+export const PROVIDERS = {
+  [openMeteo.id]: openMeteo,
+  [metNorway.id]: metNorway,
+  [fixture.id]: fixture,
+};
+
+const DEFAULT_PROVIDER_ID = openMeteo.id;
+
+function resolveProvider() {
+  const id = import.meta.env.VITE_WEATHER_PROVIDER || DEFAULT_PROVIDER_ID;
+  if (PROVIDERS[id]) return PROVIDERS[id];
+  console.warn(`[providers] Unknown provider "${id}", falling back to "${DEFAULT_PROVIDER_ID}".`);
+  return PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+export const activeProvider = resolveProvider();
@@ -0,0 +1,203 @@
+/**
+ * MET Norway provider — https://api.met.no/weatherapi/locationforecast/2.0/
+ *
+ * Returns a flat GeoJSON `timeseries` of UTC instants rather than daily
+ * aggregates, with symbol codes ("lightrainshowers_day") instead of WMO codes
+ * and wind in m/s. We bucket the series into days and derive the daily
+ * values ourselves.
+ *
+ * The response carries no timezone, so the location's IANA zone is looked
+ * up from Open-Meteo (timezone=auto, no weather variables) alongside it and
+ * kept on the raw response, which means cached forecasts keep it too. Days
+ * are then bucketed with the same location-time helper as the rest of the
+ * app, DST and half-hour zones included. If that lookup fails, the
+ * browser's own zone is used.
+ *
+ * Past about 60 hours the series thins out to 6-hourly entries that only
+ * carry a next_6_hours bucket, so precipitation takes the 1h amount where
+ * there is one and the 6h amount otherwise, skipping the hours a 6h bucket
+ * already covers.
+ *
+ * The compact endpoint has no sunrise/sunset, UV, gusts or precipitation
+ * probability; those fields are left null and the card shows "—". It has no apparent temperature either,
+ * so feels-like is computed from temperature, humidity and wind.
+ */
+
+import { WMO_SEVERITY } from "../weatherTypes";
+import { getLocationNow } from "../dateTime";
+
+const BASE_URL = "https://api.met.no/weatherapi/locationforecast/2.0/compact";
+const TIMEZONE_URL = "https://api.open-meteo.com/v1/forecast";
+const FORECAST_DAYS = 7;
+const MS_TO_KMH = 3.6;
+const HOUR_MS = 3600 * 1000;
+
+// MET symbol code (without _day/_night/_polartwilight) → closest WMO code
+const SYMBOL_TO_WMO = {
+  clearsky: 0,
+  fair: 1,
+  partlycloudy: 2,
+  cloudy: 3,
+  fog: 45,
+  lightrain: 61,
+  rain: 63,
+  heavyrain: 65,
+  lightsleet: 66,
+  sleet: 67,
+  heavysleet: 67,
+  lightsnow: 71,
+  snow: 73,
+  heavysnow: 75,
+  lightrainshowers: 80,
+  rainshowers: 81,
+  heavyrainshowers: 82,
+  lightsleetshowers: 80,
+  sleetshowers: 81,
+  heavysleetshowers: 82,
+  lightsnowshowers: 85,
+  snowshowers: 85,
+  heavysnowshowers: 86,
+};
+
+// Apparent temperature (°C) from air temperature (°C), relative humidity (%)
+// and wind (m/s) — the Australian BoM formula, as Open-Meteo uses
+function apparentTemperature(temp, humidity, windMs) {
+  if (temp == null || humidity == null || windMs == null) return null;
+  const vapourPressure = (humidity / 100) * 6.105 * Math.exp((17.27 * temp) / (237.7 + temp));
+  return temp + 0.33 * vapourPressure - 0.7 * windMs - 4;
+}
+
+function symbolToWmo(symbolCode) {
+  if (!symbolCode) return null;
+  const base = symbolCode.replace(/_(day|night|polartwilight)$/, "");
+  if (base.includes("thunder")) return 95;
+  return SYMBOL_TO_WMO[base] ?? 3;
+}
+
+async function fetchForecast(lat, lon) {
+  // MET asks for at most 4 decimals to keep their cache hit rate up
+  const params = new URLSearchParams({
+    lat: Number(lat).toFixed(4),
+    lon: Number(lon).toFixed(4),
+  });
+
+  const [res, timezone] = await Promise.all([
+    fetch(`${BASE_URL}?${params}`),
+    fetchTimezone(lat, lon),
+  ]);
+  if (!res.ok) throw new Error(`Weather API error: ${res.status}`);
+  return { ...(await res.json()), timezone };
+}
+
+// IANA zone name for a location, or null if it can't be looked up
+async function fetchTimezone(lat, lon) {
+  const params = new URLSearchParams({ latitude: lat, longitude: lon, timezone: "auto" });
+  try {
+    const res = await fetch(`${TIMEZONE_URL}?${params}`);
+    return res.ok ? (await res.json()).timezone ?? null : null;
+  } catch {
+    return null;
+  }
+}
+
+function normalize(data) {
+  const zone = { timezone: data.timezone ?? null, utcOffsetSeconds: null };
+
+  const hoursByDate = {};
+  let precipCoveredUntil = -Infinity; // end of the last bucket counted, in ms
+  for (const entry of data.properties.timeseries) {
+    const at = Date.parse(entry.time);
+    const { dateStr: date, hour, minute } = getLocationNow(zone, new Date(entry.time));
+    const details = entry.data.instant.details;
+    const next = entry.data.next_1_hours ?? entry.data.next_6_hours;
+    const nextHours = entry.data.next_1_hours ? 1 : 6;
+
+    let precipitation = 0;
+    if (next?.details?.precipitation_amount != null && at >= precipCoveredUntil) {
+      precipitation = next.details.precipitation_amount;
+      precipCoveredUntil = at + nextHours * HOUR_MS;
+    }
+
+    if (!hoursByDate[date]) hoursByDate[date] = [];
+    hoursByDate[date].push({
+      time: `${date}T${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`,
+      hour,
+      temp: details.air_temperature,
+      feelsLike: apparentTemperature(details.air_temperature, details.relative_humidity, details.wind_speed),
+      weatherCode: symbolToWmo(next?.summary?.symbol_code),
+      windSpeed: details.wind_speed * MS_TO_KMH,
+      windDirection: details.wind_from_direction,
+      humidity: details.relative_humidity,
+      precipitation,
+    });
+  }
+
+  const days = Object.keys(hoursByDate).sort().slice(0, FORECAST_DAYS).map((date) => {
+    const hours = hoursByDate[date];
+    const temps = hours.map((h) => h.temp);
+    const feelsLike = hours.map((h) => h.feelsLike).filter((t) => t != null);
+    return {
+      date,
+      weatherCode: dominantCode(hours),
+      tempMax: Math.max(...temps),
+      tempMin: Math.min(...temps),
+      feelsLikeMax: feelsLike.length ? Math.max(...feelsLike) : null,
+      feelsLikeMin: feelsLike.length ? Math.min(...feelsLike) : null,
+      precipitationSum: hours.reduce((sum, h) => sum + h.precipitation, 0),
+      precipProbability: null,
+      windSpeedMax: Math.max(...hours.map((h) => h.windSpeed)),
+      windGustsMax: null,
+      windDirection: hours[Math.floor(hours.length / 2)].windDirection,
+      uvIndex: null,
+      sunrise: null,
+      sunset: null,
+      hourly: hours
+        .filter((h) => h.weatherCode != null)
+        .map(({ time, hour, temp, weatherCode, windSpeed }) => ({ time, hour, temp, weatherCode, windSpeed })),
+    };
+  });
+
+  const now = hoursByDate[days[0]?.date]?.[0];
+
+  return {
+    ...zone,
+    days,
+    current: now
+      ? {
+          temp: now.temp,
+          weatherCode: now.weatherCode,
+          windSpeed: now.windSpeed,
+          humidity: now.humidity,
+          feelsLike: now.feelsLike,
+        }
+      : null,
+  };
+}
+
+// A day's WMO code, from its daytime hours (falls back to all hours): the
+// most severe precipitation by WMO_SEVERITY if there was any, else the sky
+// seen most often — a morning of fog doesn't make a foggy day. Ties go to
+// the more severe code, then the cloudier one.
+function dominantCode(hours) {
+  const daytime = hours.filter((h) => h.hour >= 6 && h.hour <= 21 && h.weatherCode != null);
+  const pool = daytime.length ? daytime : hours.filter((h) => h.weatherCode != null);
+  if (!pool.length) return 0;
+
+  const severity = (code) => WMO_SEVERITY[code] ?? 0;
+  const rank = (a, b) => severity(a) - severity(b) || a - b;
+  const wet = pool.filter((h) => h.weatherCode >= 50).map((h) => h.weatherCode);
+  if (wet.length) return wet.reduce((worst, code) => (rank(code, worst) > 0 ? code : worst));
+
+  const counts = new Map();
+  for (const { weatherCode } of pool) counts.set(weatherCode, (counts.get(weatherCode) ?? 0) + 1);
+  return [...counts].reduce((best, entry) =>
+    entry[1] > best[1] || (entry[1] === best[1] && rank(entry[0], best[0]) > 0) ? entry : best
+  )[0];
+}
+
+export default {
+  id: "met-norway",
+  label: "MET Norway",
+  fetch: fetchForecast,
+  normalize,
+};
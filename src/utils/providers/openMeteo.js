@@ -0,0 +1,100 @@
+/**
+ * Open-Meteo provider — https://open-meteo.com/
+ *
+ * Free, no API key. Already speaks WMO weather codes, °C, km/h and mm,
+ * so normalizing is mostly a matter of renaming fields.
+ */
+
+const BASE_URL = "https://api.open-meteo.com/v1/forecast";
+
+async function fetchForecast(lat, lon) {
+  const params = new URLSearchParams({
+    latitude: lat,
+    longitude: lon,
+    daily: [
+      "weather_code",
+      "temperature_2m_max",
+      "temperature_2m_min",
+      "apparent_temperature_max",
+      "apparent_temperature_min",
+      "precipitation_sum",
+      "wind_speed_10m_max",
+      "wind_gusts_10m_max",
+      "wind_direction_10m_dominant",
+      "sunrise",
+      "sunset",
+      "uv_index_max",
+      "precipitation_probability_max",
+    ].join(","),
+    hourly: "temperature_2m,weather_code,wind_speed_10m",
+    current: "temperature_2m,weather_code,wind_speed_10m,relative_humidity_2m,apparent_temperature",
+    timezone: "auto",
+    forecast_days: 7,
+  });
+
+  const res = await fetch(`${BASE_URL}?${params}`);
+  if (!res.ok) throw new Error(`Weather API error: ${res.status}`);
+  return res.json();
+}
+
+function normalize(data) {
+  const { daily, current } = data;
+  const hourlyByDate = groupHourlyByDate(data.hourly);
+
+  return {
+    timezone: data.timezone ?? null,
+    utcOffsetSeconds: data.utc_offset_seconds ?? null,
+    days: daily.time.map((date, i) => ({
+      date,
+      weatherCode: daily.weather_code[i],
+      tempMax: daily.temperature_2m_max[i],
+      tempMin: daily.temperature_2m_min[i],
+      feelsLikeMax: daily.apparent_temperature_max?.[i] ?? null,
+      feelsLikeMin: daily.apparent_temperature_min?.[i] ?? null,
+      precipitationSum: daily.precipitation_sum?.[i] ?? null,
+      precipProbability: daily.precipitation_probability_max?.[i] ?? null,
+      windSpeedMax: daily.wind_speed_10m_max[i],
+      windGustsMax: daily.wind_gusts_10m_max?.[i] ?? null,
+      windDirection: daily.wind_direction_10m_dominant?.[i] ?? null,
+      uvIndex: daily.uv_index_max?.[i] ?? null,
+      sunrise: daily.sunrise?.[i] ?? null,
+      sunset: daily.sunset?.[i] ?? null,
+      hourly: hourlyByDate[date] ?? [],
+    })),
+    current: current
+      ? {
+          temp: current.temperature_2m,
+          weatherCode: current.weather_code,
+          windSpeed: current.wind_speed_10m,
+          humidity: current.relative_humidity_2m,
+          feelsLike: current.apparent_temperature,
+        }
+      : null,
+  };
+}
+
+// Bucket the flat hourly arrays into per-day lists keyed by ISO date ("2024-10-21")
+function groupHourlyByDate(hourly) {
+  const byDate = {};
+  if (!hourly?.time) return byDate;
+
+  hourly.time.forEach((timeStr, i) => {
+    const dateStr = timeStr.slice(0, 10);
+    if (!byDate[dateStr]) byDate[dateStr] = [];
+    byDate[dateStr].push({
+      time: timeStr,
+      hour: Number(timeStr.slice(11, 13)),
+      temp: hourly.temperature_2m[i],
+      weatherCode: hourly.weather_code[i],
+      windSpeed: hourly.wind_speed_10m[i],
+    });
+  });
+  return byDate;
+}
+
+export default {
+  id: "open-meteo",
+  label: "Open-Meteo",
+  fetch: fetchForecast,
+  normalize,
+};
@@ -0,0 +1,176 @@
+/**
+ * Asset Quality Tiers
+ *
+ * Frames and clips can ship at several resolutions, each in a folder named
+ * after its tier:
+ *
+ *   /public/frames/480/sunny_to_rainy/…    /public/videos/480/sunny.mp4
+ *   /public/frames/720/sunny_to_rainy/…    /public/videos/720/sunny.mp4
+ *   /public/frames/1080/sunny_to_rainy/…   /public/videos/1080/sunny.mp4
+ *
+ * Assets outside a tier folder (/frames/sunny_to_rainy/) are used as-is
+ * whatever the tier — a tree doesn't have to adopt tiers all at once.
+ *
+ * The tier in use is either the user's choice (Settings → Quality) or, on
+ * "auto", picked at startup from the screen, navigator.deviceMemory and
+ * navigator.connection, then stepped down at runtime whenever transition
+ * frames keep missing their deadline (see reportFrameDeadline). Runtime
+ * downgrades last for the session; the next visit starts from detection
+ * again.
+ *
+ * The user's choice is persisted in localStorage. The tier names live in
+ * qualityTiers.js, which the Node build scripts share.
+ */
+
+import { QUALITY_TIERS, pickAvailableTier as pickTier } from "./qualityTiers";
+
+const STORAGE_KEY = "skies.quality";
+
+export const QUALITY_OPTIONS = [
+  { id: "auto", label: "Auto" },
+  ...QUALITY_TIERS.map((tier) => ({ id: tier, label: `${tier}p` })),
+];
+
+// ── Detection ──────────────────────────────────────────────────────
+
+// Tier caps by navigator.connection.effectiveType (Chromium only)
+const CONNECTION_CAPS = { "slow-2g": "480", "2g": "480", "3g": "720" };
+
+/**
+ * Pick a tier for this device: the smallest that covers the screen's
+ * short side in device pixels, capped on low-memory devices and slow or
+ * data-saving connections.
+ */
+export function detectQualityTier() {
+  if (typeof window === "undefined") return QUALITY_TIERS[QUALITY_TIERS.length - 1];
+
+  const dpr = window.devicePixelRatio || 1;
+  const shortSide = Math.min(window.screen?.width ?? window.innerWidth, window.screen?.height ?? window.innerHeight) * dpr;
+  let tier = QUALITY_TIERS.find((t) => Number(t) >= shortSide) ?? QUALITY_TIERS[QUALITY_TIERS.length - 1];
+
+  const memory = navigator.deviceMemory;
+  if (memory && memory <= 2) tier = lowerOf(tier, "480");
+  else if (memory && memory <= 4) tier = lowerOf(tier, "720");
+
+  const connection = navigator.connection;
+  if (connection?.saveData) tier = lowerOf(tier, "480");
+  if (CONNECTION_CAPS[connection?.effectiveType]) tier = lowerOf(tier, CONNECTION_CAPS[connection.effectiveType]);
+
+  return tier;
+}
+
+function lowerOf(a, b) {
+  return QUALITY_TIERS.indexOf(a) <= QUALITY_TIERS.indexOf(b) ? a : b;
+}
+
+/**
+ * Of the tiers an asset is available in, the one to load for `tier`
+ * (the current tier by default) — see qualityTiers.js.
+ */
+export function pickAvailableTier(available, tier = getQualityTier()) {
+  return pickTier(available, tier);
+}
+
+// ── Current tier ───────────────────────────────────────────────────
+// Set up on first use rather than at import
+
+let state = null;
+const listeners = new Set();
+
+function getState() {
+  if (!state) state = { preference: loadQualityPreference(), autoTier: detectQualityTier() };
+  return state;
+}
+
+function notify() {
+  for (const listener of listeners) listener();
+}
+
+function loadQualityPreference() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return QUALITY_OPTIONS.some((opt) => opt.id === stored) ? stored : "auto";
+  } catch {
+    return "auto";
+  }
+}
+
+/** "auto" or a tier name. */
+export function getQualityPreference() {
+  return getState().preference;
+}
+
+/** The tier assets load at right now. */
+export function getQualityTier() {
+  const { preference, autoTier } = getState();
+  return preference === "auto" ? autoTier : preference;
+}
+
+/** What "auto" currently resolves to, for the settings label. */
+export function getAutoQualityTier() {
+  return getState().autoTier;
+}
+
+export function setQualityPreference(preference) {
+  if (!QUALITY_OPTIONS.some((opt) => opt.id === preference)) return;
+  getState().preference = preference;
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch {
+    // Storage full or disabled — the choice just won't persist
+  }
+  notify();
+}
+
+/**
+ * Subscribe to tier / preference changes (shaped for useSyncExternalStore).
+ * Returns an unsubscribe function.
+ */
+export function subscribeQuality(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ── Runtime downgrade ──────────────────────────────────────────────
+// A frame misses its deadline when the playhead reaches it before it has
+// been decoded. At a steady scrub that shouldn't happen — decode-ahead
+// runs well in front — so a run of misses means this tier is more than
+// the device can decode in time.
+
+// Frames considered at once, and how many must be in before judging
+const DEADLINE_WINDOW = 90;
+const DEADLINE_MIN_SAMPLES = 30;
+// Share of missed frames in the window that triggers a step down
+const DEADLINE_MISS_RATIO = 0.25;
+// After a step down, give the new tier this long before judging it
+const DOWNGRADE_COOLDOWN_MS = 4000;
+
+let deadlineSamples = [];
+let cooldownUntil = 0;
+
+/**
+ * Record whether a transition frame was ready when the playhead reached it.
+ * On "auto", enough misses step the tier down one level.
+ */
+export function reportFrameDeadline(missed, now = performance.now()) {
+  const current = getState();
+  if (current.preference !== "auto" || now < cooldownUntil) return;
+
+  deadlineSamples.push(missed);
+  if (deadlineSamples.length > DEADLINE_WINDOW) deadlineSamples.shift();
+  if (deadlineSamples.length < DEADLINE_MIN_SAMPLES) return;
+
+  const misses = deadlineSamples.filter(Boolean).length;
+  if (misses / deadlineSamples.length < DEADLINE_MISS_RATIO) return;
+
+  const rank = QUALITY_TIERS.indexOf(current.autoTier);
+  const sampled = deadlineSamples.length;
+  deadlineSamples = [];
+  if (rank <= 0) return;
+  current.autoTier = QUALITY_TIERS[rank - 1];
+  cooldownUntil = now + DOWNGRADE_COOLDOWN_MS;
+  if (import.meta.env.DEV) {
+    console.info(`[quality] frames missing their deadline (${misses} of ${sampled}) → ${current.autoTier}p`);
+  }
+  notify();
+}
@@ -0,0 +1,23 @@
+/**
+ * Quality tier names
+ *
+ * Shared by the browser (quality.js, frameLoader.js) and the Node build
+ * scripts (scripts/frames-manifest.js, frames-check.js, service-worker.js)
+ * so both agree on which tier folders exist. Keep this free of browser and
+ * Vite globals — the scripts import it directly.
+ */
+
+// Lowest first; a tier's name is its folder name and the frame height
+export const QUALITY_TIERS = ["480", "720", "1080"];
+
+/**
+ * Of the tiers an asset is available in, the one to load for `tier`:
+ * the best at or below it, else the lowest above it. Null if `available`
+ * is empty (the asset isn't tiered).
+ */
+export function pickAvailableTier(available, tier) {
+  if (!available?.length) return null;
+  const rank = QUALITY_TIERS.indexOf(tier);
+  const sorted = [...available].sort((a, b) => QUALITY_TIERS.indexOf(a) - QUALITY_TIERS.indexOf(b));
+  return sorted.filter((t) => QUALITY_TIERS.indexOf(t) <= rank).pop() ?? sorted[0];
+}
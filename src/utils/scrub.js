@@ -0,0 +1,47 @@
+/**
+ * Scroll Scrubbing
+ *
+ * Tuning and helpers for driving a transition directly from wheel,
+ * trackpad and touch-drag input: how far a gesture has to travel for a
+ * full transition, how a wheel gesture's end (and a trackpad's inertia
+ * tail) is detected, and how the release velocity picks the day to snap
+ * to. App wires these into its input handlers.
+ */
+
+// Wheel/drag distance for one full transition, as a fraction of viewport height
+export const SCRUB_DISTANCE = 0.9;
+// A wheel gesture counts as released after this long without events
+export const WHEEL_RELEASE_MS = 140;
+// Consecutive shrinking wheel deltas that mark a trackpad inertia tail
+export const INERTIA_RUN = 5;
+// Quiet time (or a delta this much larger than the last) ends an inertia tail
+export const INERTIA_GAP_MS = 220;
+export const INERTIA_RESTART_RATIO = 1.5;
+// Release velocity is projected this far ahead to pick the snap target
+export const MOMENTUM_MS = 220;
+// Snap animations never run shorter than this
+export const MIN_SNAP_MS = 160;
+
+// Progress velocity (per ms) over the last `windowMs` of samples
+export function createVelocityTracker(windowMs = 100) {
+  let samples = [];
+  return {
+    reset() { samples = []; },
+    add(progress, time = performance.now()) {
+      samples.push({ progress, time });
+      while (samples.length > 2 && time - samples[0].time > windowMs) samples.shift();
+    },
+    velocity() {
+      if (samples.length < 2) return 0;
+      const first = samples[0], last = samples[samples.length - 1];
+      return last.time > first.time ? (last.progress - first.progress) / (last.time - first.time) : 0;
+    },
+  };
+}
+
+// Wheel delta in pixels, whatever unit the device reports in
+export function wheelDeltaPx(e) {
+  if (e.deltaMode === 1) return e.deltaY * 16;                 // lines
+  if (e.deltaMode === 2) return e.deltaY * window.innerHeight; // pages
+  return e.deltaY;
+}
@@ -0,0 +1,25 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers /sw.js (built from src/sw.js by scripts/service-worker.js) in
+ * production builds, then asks it to precache the clips and frames for this
+ * device's quality tier — unless Save-Data is on, in which case media is
+ * only cached as it's watched. Dev has no service worker — see the
+ * build script.
+ */
+
+import { getQualityTier } from "./quality";
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  // After load, so precaching doesn't compete with the first paint
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((e) => {
+      console.warn("[serviceWorker] registration failed:", e);
+    });
+    navigator.serviceWorker.ready.then((registration) => {
+      if (navigator.connection?.saveData) return;
+      registration.active?.postMessage({ type: "precache-media", tier: getQualityTier() });
+    });
+  });
+}
@@ -0,0 +1,292 @@
+/**
+ * Soundscape
+ *
+ * Procedural ambient sound per weather type, built from the Web Audio API —
+ * no audio files ship with the app:
+ *
+ *   rain     looped white noise through a band of filters; louder and
+ *            brighter as precipitation rises
+ *   wind     noise through a wandering band-pass, gusting to a new level
+ *            every second or two, scaled by windSpeed
+ *   thunder  low-passed noise bursts with a slow decay, every 8–25 s on
+ *            storm days (more often the more severe)
+ *   birds    short sine chirps in little phrases, on clear days only
+ *
+ * Each layer's level comes from soundLevels(type, intensity, night); a
+ * transition mixes two days' levels by progress (mixLevels), so the sound
+ * crossfades in step with the scene.
+ *
+ * Sound is opt-in (Settings → Sound) and the choice is persisted in
+ * localStorage.
+ */
+
+const STORAGE_KEY = "skies.sound";
+
+export const SOUND_OPTIONS = [
+  { id: "off", label: "Off" },
+  { id: "on",  label: "Ambient" },
+];
+
+export function loadSoundPreference() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === "on" ? "on" : "off";
+  } catch {
+    return "off";
+  }
+}
+
+export function saveSoundPreference(preference) {
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch {
+    // Storage full or disabled — the choice just won't persist
+  }
+}
+
+// ── Levels ─────────────────────────────────────────────────────────
+
+export const SILENT = { rain: 0, wind: 0, thunder: 0, birds: 0 };
+
+/**
+ * Layer levels (0–1) for a scene type at an intensity (see
+ * getWeatherIntensity). Birds sing by day only.
+ */
+export function soundLevels(type, intensity, night = 0) {
+  if (!type || !intensity) return SILENT;
+  const { precipitation, severity, wind } = intensity;
+  const wet = type === "rainy" || type === "stormy";
+  const clear = type === "sunny" ? 1 : type === "partly_cloudy" ? 0.6 : 0;
+  return {
+    rain:    wet ? 0.25 + 0.75 * precipitation : 0,
+    wind:    type === "windy" ? 0.4 + 0.6 * wind : 0.7 * wind,
+    thunder: type === "stormy" ? 0.4 + 0.6 * severity : 0,
+    // Wind drowns them out (and sends them for cover)
+    birds:   clear * (1 - night) * (1 - wind),
+  };
+}
+
+export function mixLevels(from, to, t) {
+  const mixed = {};
+  for (const key in SILENT) mixed[key] = from[key] + (to[key] - from[key]) * t;
+  return mixed;
+}
+
+// ── Engine ─────────────────────────────────────────────────────────
+
+// Overall volume, and how long it takes to fade in / out
+const MASTER_VOLUME = 0.8;
+const FADE_IN_S = 1.5;
+const FADE_OUT_S = 0.3;
+// Time constant for level changes — short enough to follow a scrub
+const LEVEL_SMOOTHING_S = 0.08;
+
+/**
+ * Start an audio graph. Returns
+ *   { setLevels(levels), resume(), pause(), dispose() }
+ * Browsers keep a new AudioContext suspended until the user interacts
+ * with the page; resume() from an input handler wakes it. pause() fades
+ * out and suspends (e.g. while the tab is hidden); dispose() fades out and
+ * closes the context for good.
+ */
+export function createSoundscape() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new AudioCtx();
+  const master = ctx.createGain();
+  master.gain.value = 0;
+  master.connect(ctx.destination);
+
+  const noise = createNoiseBuffer(ctx, 4);
+  const levels = { ...SILENT };
+  let paused = false;
+
+  const layers = [
+    createRain(ctx, noise, master),
+    createWind(ctx, noise, master, () => paused),
+    createThunder(ctx, noise, master, levels, () => paused),
+    createBirds(ctx, master, levels, () => paused),
+  ];
+
+  function fadeTo(value, seconds) {
+    const now = ctx.currentTime;
+    master.gain.cancelScheduledValues(now);
+    master.gain.setValueAtTime(master.gain.value, now);
+    master.gain.linearRampToValueAtTime(value, now + seconds);
+  }
+  fadeTo(MASTER_VOLUME, FADE_IN_S);
+
+  return {
+    setLevels(next) {
+      Object.assign(levels, next);
+      for (const layer of layers) layer.update?.(levels);
+    },
+
+    resume() {
+      if (!paused && ctx.state === "running") return;
+      paused = false;
+      if (ctx.state === "suspended") ctx.resume().catch(() => {});
+      fadeTo(MASTER_VOLUME, FADE_IN_S);
+    },
+
+    pause() {
+      paused = true;
+      fadeTo(0, FADE_OUT_S);
+      setTimeout(() => { if (paused && ctx.state === "running") ctx.suspend().catch(() => {}); }, FADE_OUT_S * 1000);
+    },
+
+    dispose() {
+      paused = true;
+      for (const layer of layers) layer.stop();
+      fadeTo(0, FADE_OUT_S);
+      setTimeout(() => ctx.close().catch(() => {}), FADE_OUT_S * 1000 + 50);
+    },
+  };
+}
+
+function createNoiseBuffer(ctx, seconds) {
+  const buffer = ctx.createBuffer(1, Math.round(ctx.sampleRate * seconds), ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+function loopNoise(ctx, noise, offset = 0) {
+  const source = ctx.createBufferSource();
+  source.buffer = noise;
+  source.loop = true;
+  source.start(0, offset);
+  return source;
+}
+
+function setSmoothly(param, value, ctx) {
+  param.setTargetAtTime(value, ctx.currentTime, LEVEL_SMOOTHING_S);
+}
+
+// Runs `fn` after a random delay between min and max ms, again and again
+// until the returned stop() is called
+function every(minMs, maxMs, fn) {
+  let timer = null;
+  const schedule = () => {
+    timer = setTimeout(() => { fn(); schedule(); }, minMs + Math.random() * (maxMs - minMs));
+  };
+  schedule();
+  return () => clearTimeout(timer);
+}
+
+// ── Layers ─────────────────────────────────────────────────────────
+
+function createRain(ctx, noise, out) {
+  const source = loopNoise(ctx, noise);
+  const highpass = ctx.createBiquadFilter();
+  highpass.type = "highpass";
+  highpass.frequency.value = 400;
+  const lowpass = ctx.createBiquadFilter();
+  lowpass.type = "lowpass";
+  lowpass.frequency.value = 2000;
+  const gain = ctx.createGain();
+  gain.gain.value = 0;
+  source.connect(highpass).connect(lowpass).connect(gain).connect(out);
+
+  return {
+    update({ rain }) {
+      // Heavy rain is louder and hissier than drizzle
+      setSmoothly(gain.gain, rain * 0.35, ctx);
+      setSmoothly(lowpass.frequency, 1500 + rain * 5000, ctx);
+    },
+    stop() { source.stop(); },
+  };
+}
+
+function createWind(ctx, noise, out, isPaused) {
+  const source = loopNoise(ctx, noise, noise.duration / 2);
+  const band = ctx.createBiquadFilter();
+  band.type = "bandpass";
+  band.Q.value = 0.8;
+  band.frequency.value = 400;
+  // `gust` swells and drops on its own; `gain` follows the wind level
+  const gust = ctx.createGain();
+  const gain = ctx.createGain();
+  gain.gain.value = 0;
+  source.connect(band).connect(gust).connect(gain).connect(out);
+
+  // Each gust swells to a new strength over about a second
+  const stopGusts = every(800, 2500, () => {
+    if (isPaused()) return;
+    const strength = 0.5 + Math.random() * 0.8;
+    gust.gain.setTargetAtTime(strength, ctx.currentTime, 0.6);
+    band.frequency.setTargetAtTime(250 + strength * 500, ctx.currentTime, 0.8);
+  });
+
+  return {
+    update({ wind }) {
+      setSmoothly(gain.gain, wind * 0.5, ctx);
+    },
+    stop() { stopGusts(); source.stop(); },
+  };
+}
+
+function createThunder(ctx, noise, out, levels, isPaused) {
+  const stopRumbles = every(8000, 25000, () => {
+    const level = levels.thunder;
+    if (isPaused() || level <= 0 || Math.random() > 0.5 + level / 2) return;
+
+    const now = ctx.currentTime;
+    const duration = 3 + Math.random() * 2;
+    const source = ctx.createBufferSource();
+    source.buffer = noise;
+    source.loop = true;
+    const lowpass = ctx.createBiquadFilter();
+    lowpass.type = "lowpass";
+    lowpass.frequency.value = 80 + Math.random() * 80;
+    const gain = ctx.createGain();
+    // A sharp crack, a second roll, then a long decay
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.9 * level, now + 0.08);
+    gain.gain.exponentialRampToValueAtTime(0.35 * level, now + 0.6);
+    gain.gain.linearRampToValueAtTime(0.6 * level, now + 0.9);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+    source.connect(lowpass).connect(gain).connect(out);
+    source.start(now, Math.random() * noise.duration);
+    source.stop(now + duration);
+  });
+
+  return { stop: stopRumbles };
+}
+
+function createBirds(ctx, out, levels, isPaused) {
+  function chirp(at, level) {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const length = 0.08 + Math.random() * 0.07;
+    const pitch = 2500 + Math.random() * 2000;
+    osc.type = "sine";
+    osc.frequency.setValueAtTime(pitch, at);
+    osc.frequency.exponentialRampToValueAtTime(pitch + (Math.random() - 0.3) * 1600, at + length);
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(0.05 * level, at + length * 0.3);
+    gain.gain.linearRampToValueAtTime(0, at + length);
+
+    let node = osc.connect(gain);
+    if (ctx.createStereoPanner) {
+      const pan = ctx.createStereoPanner();
+      pan.pan.value = Math.random() * 1.6 - 0.8;
+      node = node.connect(pan);
+    }
+    node.connect(out);
+    osc.start(at);
+    osc.stop(at + length);
+  }
+
+  // A phrase of a few chirps, now and then
+  const stopPhrases = every(1500, 5000, () => {
+    const level = levels.birds;
+    if (isPaused() || level <= 0.05) return;
+    let at = ctx.currentTime + 0.05;
+    const count = 2 + Math.floor(Math.random() * 4);
+    for (let i = 0; i < count; i++) {
+      chirp(at, level);
+      at += 0.12 + Math.random() * 0.13;
+    }
+  });
+
+  return { stop: stopPhrases };
+}
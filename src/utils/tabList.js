@@ -0,0 +1,38 @@
+/**
+ * Tab List Keyboard
+ *
+ * The forecast strip follows the WAI-ARIA tabs pattern with manual
+ * activation: only the selected day's tab is in the Tab order, arrow keys, Home and End move focus between tabs, and Enter
+ * or Space picks the focused day. Selection doesn't follow focus because
+ * picking a day plays its transition — arrowing along the strip shouldn't
+ * set off a string of them.
+ */
+
+const KEYS = {
+  horizontal: { prev: "ArrowLeft", next: "ArrowRight" },
+  vertical:   { prev: "ArrowUp",   next: "ArrowDown" },
+};
+
+/**
+ * onKeyDown for a role="tablist" element: moves focus between its
+ * role="tab" descendants, wrapping at the ends. Keys it handles don't
+ * reach App's window-level day navigation.
+ */
+export function handleTabListKeyDown(e, orientation = "horizontal") {
+  const tabs = [...e.currentTarget.querySelectorAll('[role="tab"]')];
+  const from = tabs.indexOf(document.activeElement);
+  if (from < 0) return;
+
+  const { prev, next } = KEYS[orientation];
+  let to;
+  switch (e.key) {
+    case prev:   to = (from - 1 + tabs.length) % tabs.length; break;
+    case next:   to = (from + 1) % tabs.length; break;
+    case "Home": to = 0; break;
+    case "End":  to = tabs.length - 1; break;
+    default:     return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+  tabs[to].focus();
+}
@@ -0,0 +1,133 @@
+/**
+ * Transition Graph
+ *
+ * Only a handful of from→to pairs have transition assets of their own — a
+ * frame folder (/frames/{from}_to_{to}/) or a clip (/videos/{from}_to_{to}.mp4).
+ * This models the assets that do exist as a directed graph over weather
+ * types and picks the best stand-in for any pair:
+ *
+ *   direct     {from}_to_{to}, played forwards
+ *   reverse    {to}_to_{from}, played backwards
+ *   route      two assets chained through an intermediate type,
+ *              e.g. snowy → cloudy → sunny, each leg direct or reversed
+ *   crossfade  nothing usable — the scene crossfades the idle videos
+ *
+ * Both kinds scrub the same way (a clip by seeking), so either can stand in
+ * for a pair; when a pair has both, the frame folder wins.
+ *
+ * Either end may also borrow its fallback type's folders (stormy → rainy,
+ * see FALLBACK_TYPES). Candidates are ranked by a cost; the cheapest wins.
+ *
+ * A decision looks like:
+ *   {
+ *     kind: "direct" | "reverse" | "route" | "crossfade" | "none",
+ *     from, to,                     ← the requested types
+ *     segments: [{ key, reversed, source: "frames" | "video" }]
+ *                                   ← assets to play in order (empty for crossfade/none)
+ *     via,                          ← intermediate type, for routes
+ *   }
+ */
+
+import { getAssetTypeCandidates } from "./weatherTypes";
+import { getManifestFolderNames, getManifestVideoNames } from "./frameLoader";
+
+// Edge costs. Reversed playback is nearly as good as the real thing;
+// borrowing a fallback type's folder or chaining two legs costs more.
+const COST = {
+  direct: 1,
+  reverse: 1.25,
+  fallback: 0.5,   // per end that uses a fallback type
+  extraHop: 0.75,  // on top of the second leg's own cost
+  video: 0.1,      // clips seek less precisely than frames
+};
+
+const TRANSITION_KEY = /^([a-z_]+?)_to_([a-z_]+)$/;
+
+/**
+ * Build the graph from frame folder names and clip names (without .mp4).
+ * Returns Map<fromType, Map<toType, { key, reversed, source, cost }>> — each
+ * asset a_to_b gives a forward edge a→b and a reversed edge b→a. Where
+ * several assets connect the same two types, the cheapest edge wins.
+ */
+export function buildTransitionGraph(folderNames, videoNames = []) {
+  const graph = new Map();
+  const addEdge = (from, to, edge) => {
+    if (!graph.has(from)) graph.set(from, new Map());
+    const existing = graph.get(from).get(to);
+    if (!existing || existing.cost > edge.cost) graph.get(from).set(to, edge);
+  };
+
+  const addAsset = (key, source) => {
+    const match = TRANSITION_KEY.exec(key);
+    if (!match || match[1] === match[2]) return;
+    const [, from, to] = match;
+    const extra = source === "video" ? COST.video : 0;
+    addEdge(from, to, { key, reversed: false, source, cost: COST.direct + extra });
+    addEdge(to, from, { key, reversed: true, source, cost: COST.reverse + extra });
+  };
+  for (const key of folderNames) addAsset(key, "frames");
+  for (const key of videoNames) addAsset(key, "video");
+  return graph;
+}
+
+/**
+ * Pick how to play fromType → toType given a graph (see top of file).
+ */
+export function resolveTransition(fromType, toType, graph = getTransitionGraph()) {
+  if (!fromType || !toType || fromType === toType) {
+    return { kind: "none", from: fromType, to: toType, segments: [] };
+  }
+
+  // Ends to search from/to, each with the cost of using it
+  const ends = (type) => getAssetTypeCandidates(type).map((t, i) => ({ type: t, cost: i * COST.fallback }));
+  const starts  = ends(fromType);
+  const targets = ends(toType);
+
+  let best = null;
+  const consider = (cost, segments, via) => {
+    if (!best || cost < best.cost) best = { cost, segments, via };
+  };
+
+  for (const start of starts) {
+    const edges = graph.get(start.type);
+    if (!edges) continue;
+    for (const target of targets) {
+      if (start.type === target.type) continue;
+
+      // One leg
+      const edge = edges.get(target.type);
+      if (edge) consider(start.cost + target.cost + edge.cost, [edge]);
+
+      // Two legs, through any other type
+      for (const [via, first] of edges) {
+        if (via === target.type || via === fromType || via === toType) continue;
+        const second = graph.get(via)?.get(target.type);
+        if (!second) continue;
+        consider(start.cost + target.cost + first.cost + second.cost + COST.extraHop, [first, second], via);
+      }
+    }
+  }
+
+  if (!best) return { kind: "crossfade", from: fromType, to: toType, segments: [] };
+
+  const segments = best.segments.map(({ key, reversed, source }) => ({ key, reversed, source }));
+  const kind = segments.length > 1 ? "route" : segments[0].reversed ? "reverse" : "direct";
+  return { kind, from: fromType, to: toType, segments, ...(best.via ? { via: best.via } : {}) };
+}
+
+// ── Graph from the frames manifest ─────────────────────────────────
+// Rebuilt whenever the manifest's folders or videos change (i.e. once it loads)
+
+let cachedGraph = null;
+let cachedSignature = "";
+
+export function getTransitionGraph() {
+  const folders = getManifestFolderNames();
+  const videos = getManifestVideoNames();
+  const signature = `${folders.join(",")}|${videos.join(",")}`;
+  if (!cachedGraph || signature !== cachedSignature) {
+    cachedGraph = buildTransitionGraph(folders, videos);
+    cachedSignature = signature;
+  }
+  return cachedGraph;
+}
@@ -0,0 +1,130 @@
+/**
+ * Units
+ *
+ * Providers always normalize to metric (°C, km/h, mm) and day objects keep
+ * those raw values. Everything the UI prints goes through the formatters
+ * here, so switching units never needs a refetch and the forecast cache
+ * stays unit-agnostic.
+ *
+ * The user's choice is persisted in localStorage. First-time visitors get
+ * imperial defaults if their browser locale is in a country that uses them.
+ */
+
+const STORAGE_KEY = "skies.units";
+
+export const UNIT_OPTIONS = {
+  temperature: [
+    { id: "celsius",    label: "°C" },
+    { id: "fahrenheit", label: "°F" },
+  ],
+  wind: [
+    { id: "kmh",      label: "km/h" },
+    { id: "mph",      label: "mph" },
+    { id: "ms",       label: "m/s" },
+    { id: "kn",       label: "knots" },
+    { id: "beaufort", label: "Beaufort" },
+  ],
+  precipitation: [
+    { id: "mm",   label: "mm" },
+    { id: "inch", label: "in" },
+  ],
+};
+
+export const METRIC_UNITS   = { temperature: "celsius",    wind: "kmh", precipitation: "mm" };
+export const IMPERIAL_UNITS = { temperature: "fahrenheit", wind: "mph", precipitation: "inch" };
+
+// Regions that default to Fahrenheit / mph / inches
+const IMPERIAL_REGIONS = ["US", "LR", "MM"];
+
+// Beaufort scale upper bounds in km/h (force 0–11; anything above is 12)
+const BEAUFORT_LIMITS = [1, 5, 11, 19, 28, 38, 49, 61, 74, 88, 102, 117];
+
+function getLocaleDefaultUnits() {
+  const region = (navigator.language || "").split("-")[1]?.toUpperCase();
+  return IMPERIAL_REGIONS.includes(region) ? IMPERIAL_UNITS : METRIC_UNITS;
+}
+
+function isValid(kind, id) {
+  return UNIT_OPTIONS[kind].some((opt) => opt.id === id);
+}
+
+/**
+ * Read the persisted unit preference, filling any missing or unknown
+ * field from the locale default.
+ */
+export function loadUnits() {
+  const defaults = getLocaleDefaultUnits();
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return Object.fromEntries(
+      Object.keys(defaults).map((kind) => [
+        kind,
+        isValid(kind, stored[kind]) ? stored[kind] : defaults[kind],
+      ])
+    );
+  } catch {
+    return defaults;
+  }
+}
+
+export function saveUnits(units) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+  } catch {
+    /* storage full or disabled — preference just won't persist */
+  }
+}
+
+// ── Conversions (from metric) ─────────────────────────────────────
+
+export function convertTemp(celsius, unit) {
+  return unit === "fahrenheit" ? celsius * 9 / 5 + 32 : celsius;
+}
+
+export function toBeaufort(kmh) {
+  const force = BEAUFORT_LIMITS.findIndex((limit) => kmh < limit);
+  return force === -1 ? 12 : force;
+}
+
+export function convertWind(kmh, unit) {
+  switch (unit) {
+    case "mph":      return kmh / 1.609344;
+    case "ms":       return kmh / 3.6;
+    case "kn":       return kmh / 1.852;
+    case "beaufort": return toBeaufort(kmh);
+    default:         return kmh;
+  }
+}
+
+export function convertPrecip(mm, unit) {
+  return unit === "inch" ? mm / 25.4 : mm;
+}
+
+// ── Formatters ────────────────────────────────────────────────────
+
+/** 14.6 → "15°" (or "58°" in Fahrenheit) */
+export function formatTemp(celsius, units) {
+  if (celsius == null) return "—";
+  return `${Math.round(convertTemp(celsius, units.temperature))}°`;
+}
+
+/** 18.2 → "18 km/h", "11 mph", "5.1 m/s", "10 kn" or "Force 3" */
+export function formatWind(kmh, units) {
+  if (kmh == null) return "—";
+  const value = convertWind(kmh, units.wind);
+  switch (units.wind) {
+    case "mph":      return `${Math.round(value)} mph`;
+    case "ms":       return `${value.toFixed(1)} m/s`;
+    case "kn":       return `${Math.round(value)} kn`;
+    case "beaufort": return `Force ${value}`;
+    default:         return `${Math.round(value)} km/h`;
+  }
+}
+
+/** 2.4 → "2.4mm" or "0.09in" */
+export function formatPrecip(mm, units) {
+  if (mm == null) return "—";
+  return units.precipitation === "inch"
+    ? `${convertPrecip(mm, "inch").toFixed(2)}in`
+    : `${mm.toFixed(1)}mm`;
+}
@@ -0,0 +1,108 @@
+/**
+ * Video Scrubber
+ *
+ * Drives a paused <video> by seeking, for transitions shipped as
+ * /videos/{from}_to_{to}.mp4 instead of frame folders.
+ *
+ * Seeks are throttled: while one is in flight, newer targets just replace
+ * the pending one, which is applied when the current seek lands. Seeking
+ * faster than the decoder can keep up only queues work and lags the finger.
+ *
+ * How smooth scrubbing can be depends on the encode. With a keyframe on
+ * every frame (`ffmpeg -g 1`) each seek decodes one frame; with the usual
+ * sparse keyframes each seek decodes from the previous keyframe, which is
+ * slow. The scrubber times its first seeks to tell the two apart. On a
+ * sparse encode it uses fastSeek() (snaps to the nearest keyframe) while
+ * the target is moving, and a precise seek once it settles.
+ */
+
+// Seeks slower than this on average mark the encode as sparse-keyframe
+const DENSE_SEEK_MS = 60;
+// Seeks timed before deciding
+const PROFILE_SEEKS = 5;
+// After this long without a new target, a sparse encode gets a precise seek
+const SETTLE_MS = 120;
+// Targets closer than half a frame (at 30fps) to where we are aren't worth a seek
+const MIN_SEEK_DELTA = 1 / 60;
+
+/**
+ * Wrap a <video> for scrubbing.
+ * Returns { seekTo(time), profile(), dispose() }; profile() is
+ * { keyframeDense: true | false | null (not measured yet), avgSeekMs }.
+ */
+export function createVideoScrubber(video) {
+  let pending = null;     // latest { time, precise } not yet applied
+  let seekStart = 0;      // performance.now() at the in-flight seek
+  let seeking = false;
+  let settleTimer = null;
+  const timings = [];
+  let keyframeDense = null;
+
+  function apply(time, precise) {
+    seeking = true;
+    seekStart = performance.now();
+    if (!precise && keyframeDense === false && typeof video.fastSeek === "function") {
+      video.fastSeek(time);
+    } else {
+      video.currentTime = time;
+    }
+  }
+
+  function onSeeked() {
+    seeking = false;
+    if (keyframeDense == null) {
+      timings.push(performance.now() - seekStart);
+      if (timings.length >= PROFILE_SEEKS) {
+        keyframeDense = average(timings) <= DENSE_SEEK_MS;
+        if (!keyframeDense && import.meta.env.DEV) {
+          console.warn(
+            `[videoScrubber] ${video.currentSrc} seeks slowly (~${Math.round(average(timings))} ms) — ` +
+            "re-encode with a keyframe on every frame (ffmpeg -g 1) for smooth scrubbing"
+          );
+        }
+      }
+    }
+    const next = pending;
+    pending = null;
+    if (next && (next.precise || Math.abs(next.time - video.currentTime) > MIN_SEEK_DELTA)) {
+      apply(next.time, next.precise);
+    }
+  }
+
+  video.addEventListener("seeked", onSeeked);
+
+  return {
+    seekTo(time) {
+      if (!Number.isFinite(time) || video.readyState < 1) return;
+      const clamped = Math.max(0, Math.min(video.duration || 0, time));
+
+      clearTimeout(settleTimer);
+      if (keyframeDense === false) {
+        // Land exactly once the finger stops
+        settleTimer = setTimeout(() => {
+          if (seeking) pending = { time: clamped, precise: true };
+          else apply(clamped, true);
+        }, SETTLE_MS);
+      }
+
+      if (seeking) {
+        pending = { time: clamped, precise: false };
+      } else if (Math.abs(video.currentTime - clamped) > MIN_SEEK_DELTA) {
+        apply(clamped, false);
+      }
+    },
+
+    profile() {
+      return { keyframeDense, avgSeekMs: timings.length ? Math.round(average(timings)) : null };
+    },
+
+    dispose() {
+      clearTimeout(settleTimer);
+      video.removeEventListener("seeked", onSeeked);
+    },
+  };
+}
+
+function average(list) {
+  return list.reduce((sum, n) => sum + n, 0) / list.length;
+}
@@ -1,72 +1,61 @@
-const BASE_URL = "https://api.open-meteo.com/v1/forecast";
-
-const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+import { activeProvider } from "./providers";
+import {
+  daysBetween,
+  formatShortDate,
+  formatLocalTimeStamp,
+  getDayName,
+  getLocationNow,
+  parseLocalMinutes,
+} from "./dateTime";
+import { formatTemp } from "./units";
 
+// Fetch the raw forecast from whichever provider this deployment uses
 export async function fetchWeatherData(lat, lon) {
-  const params = new URLSearchParams({
-    latitude: lat,
-    longitude: lon,
-    daily: [
-      "weather_code",
-      "temperature_2m_max",
-      "temperature_2m_min",
-      "apparent_temperature_max",
-      "apparent_temperature_min",
-      "precipitation_sum",
-      "wind_speed_10m_max",
-      "wind_direction_10m_dominant",
-      "sunrise",
-      "sunset",
-      "uv_index_max",
-      "precipitation_probability_max",
-    ].join(","),
-    hourly: "temperature_2m,weather_code,wind_speed_10m",
-    current: "temperature_2m,weather_code,wind_speed_10m,relative_humidity_2m,apparent_temperature",
-    timezone: "auto",
-    forecast_days: 7,
-  });
-
-  const res = await fetch(`${BASE_URL}?${params}`);
-  if (!res.ok) throw new Error(`Weather API error: ${res.status}`);
-  return res.json();
+  return activeProvider.fetch(lat, lon);
 }
 
+// Raw provider response → day objects rendered by the UI.
+// Measurements stay metric and unrounded; format them with utils/units.
 export function processWeatherDays(data) {
-  const { daily, current } = data;
-  const today = new Date();
-
-  return daily.time.map((dateStr, i) => {
-    const date = new Date(dateStr);
-    const isToday = i === 0;
+  const { days, current, timezone, utcOffsetSeconds } = activeProvider.normalize(data);
+  const zone = { timezone, utcOffsetSeconds };
+  // "Today" is the location's today, which may differ from the browser's —
+  // and from days[0] when showing an older cached forecast
+  const locationToday = getLocationNow(zone).dateStr;
 
-    // Parse sunrise/sunset times
-    const sunriseTime = daily.sunrise?.[i] ? new Date(daily.sunrise[i]) : null;
-    const sunsetTime = daily.sunset?.[i] ? new Date(daily.sunset[i]) : null;
+  return days.map((d, i) => {
+    const offset = daysBetween(locationToday, d.date);
+    const isToday = offset === 0;
 
     return {
       index: i,
-      date,
-      dateStr,
-      dayName: isToday ? "Today" : i === 1 ? "Tomorrow" : DAYS[date.getDay()],
-      shortDate: `${MONTHS[date.getMonth()]} ${date.getDate()}`,
-      weatherCode: daily.weather_code[i],
-      tempMax: Math.round(daily.temperature_2m_max[i]),
-      tempMin: Math.round(daily.temperature_2m_min[i]),
-      feelsLikeMax: Math.round(daily.apparent_temperature_max?.[i] ?? daily.temperature_2m_max[i]),
-      feelsLikeMin: Math.round(daily.apparent_temperature_min?.[i] ?? daily.temperature_2m_min[i]),
-      precipitation: daily.precipitation_sum[i]?.toFixed(1) ?? "0.0",
-      precipProbability: daily.precipitation_probability_max?.[i] ?? 0,
-      windSpeed: Math.round(daily.wind_speed_10m_max[i]),
-      windDirection: daily.wind_direction_10m_dominant?.[i] ?? 0,
-      uvIndex: daily.uv_index_max?.[i]?.toFixed(1) ?? "N/A",
-      sunrise: sunriseTime ? `${sunriseTime.getHours()}:${String(sunriseTime.getMinutes()).padStart(2, "0")}` : null,
-      sunset: sunsetTime ? `${sunsetTime.getHours()}:${String(sunsetTime.getMinutes()).padStart(2, "0")}` : null,
+      dateStr: d.date,
+      dayName: isToday ? "Today" : offset === 1 ? "Tomorrow" : getDayName(d.date),
+      shortDate: formatShortDate(d.date),
+      isToday,
+      ...zone,
+      weatherCode: d.weatherCode,
+      tempMax: d.tempMax,
+      tempMin: d.tempMin,
+      feelsLikeMax: d.feelsLikeMax ?? d.tempMax,
+      feelsLikeMin: d.feelsLikeMin ?? d.tempMin,
+      precipitation: d.precipitationSum ?? 0,
+      precipProbability: d.precipProbability ?? null,
+      windSpeed: d.windSpeedMax,
+      windGusts: d.windGustsMax ?? null,
+      windDirection: d.windDirection ?? 0,
+      uvIndex: d.uvIndex?.toFixed(1) ?? "N/A",
+      sunrise: formatLocalTimeStamp(d.sunrise),
+      sunset: formatLocalTimeStamp(d.sunset),
+      sunriseMinutes: parseLocalMinutes(d.sunrise),
+      sunsetMinutes: parseLocalMinutes(d.sunset),
       // Use current data for today's actual readings
-      currentTemp: isToday ? Math.round(current.temperature_2m) : null,
-      currentHumidity: isToday ? current.relative_humidity_2m : null,
-      currentWind: isToday ? Math.round(current.wind_speed_10m) : null,
-      currentFeelsLike: isToday ? Math.round(current.apparent_temperature) : null,
+      currentTemp: isToday && current ? current.temp : null,
+      currentHumidity: isToday && current ? current.humidity : null,
+      currentWind: isToday && current ? current.windSpeed : null,
+      currentFeelsLike: isToday && current ? current.feelsLike : null,
+      // Hour-by-hour series for the timeline scrubber
+      hourly: d.hourly,
     };
   });
 }
@@ -91,3 +80,17 @@ export function getWeatherDescription(code) {
   };
   return descriptions[code] ?? "Variable conditions";
 }
+
+// "Wednesday, Oct 21" — how the day pickers name a day. Today and tomorrow
+// keep their weekday and get a suffix: "Monday, Oct 19 (today)"
+export function getDayLabel(day) {
+  const weekday = getDayName(day.dateStr);
+  const relative = day.dayName !== weekday ? ` (${day.dayName.toLowerCase()})` : "";
+  return `${weekday}, ${day.shortDate}${relative}`;
+}
+
+// "Wednesday, Oct 21: Moderate rain, high 14°, low 8°" — read out by
+// screen readers when the day changes
+export function describeDay(day, units) {
+  return `${getDayLabel(day)}: ${getWeatherDescription(day.weatherCode)}, high ${formatTemp(day.tempMax, units)}, low ${formatTemp(day.tempMin, units)}`;
+}
@@ -8,21 +8,106 @@ export const WEATHER_TYPES = {
   SNOWY: "snowy",
   WINDY: "windy",
   FOGGY: "foggy",
+  STORMY: "stormy",
+  PARTLY_CLOUDY: "partly_cloudy",
 };
 
-export function getWeatherType(code) {
+// Closest existing type to borrow assets from when a type has no video or
+// frame folder of its own yet. Followed as a chain: partly_cloudy → cloudy.
+export const FALLBACK_TYPES = {
+  [WEATHER_TYPES.STORMY]: WEATHER_TYPES.RAINY,
+  [WEATHER_TYPES.PARTLY_CLOUDY]: WEATHER_TYPES.CLOUDY,
+};
+
+// Wind limits for the WINDY type, in km/h. Defaults sit at Beaufort 6
+// ("strong breeze") for sustained wind and a gale-ish gust.
+// maxPrecipitation (mm): wetter days stay rainy/snowy/stormy even when it's blowing.
+export const WIND_THRESHOLDS = {
+  windSpeed: 39,
+  windGusts: 62,
+  maxPrecipitation: 1,
+};
+
+const PRECIPITATING_TYPES = [WEATHER_TYPES.RAINY, WEATHER_TYPES.SNOWY, WEATHER_TYPES.STORMY];
+
+function getTypeFromCode(code) {
   if (code === 0) return WEATHER_TYPES.SUNNY;
-  if (code <= 2) return WEATHER_TYPES.CLOUDY;
+  if (code <= 2) return WEATHER_TYPES.PARTLY_CLOUDY;
   if (code === 3) return WEATHER_TYPES.CLOUDY;
   if (code <= 49) return WEATHER_TYPES.FOGGY;
   if (code <= 67) return WEATHER_TYPES.RAINY;
   if (code <= 77) return WEATHER_TYPES.SNOWY;
   if (code <= 82) return WEATHER_TYPES.RAINY;
   if (code <= 86) return WEATHER_TYPES.SNOWY;
-  if (code <= 99) return WEATHER_TYPES.RAINY; // Thunderstorms -> heavy rain category
+  if (code <= 99) return WEATHER_TYPES.STORMY; // Thunderstorm, with or without hail
   return WEATHER_TYPES.CLOUDY;
 }
 
+// Classify a day or hour object ({ weatherCode, windSpeed, windGusts,
+// precipitation }) into a scene type. A bare WMO code also works, but can
+// never come out as windy since codes carry no wind information.
+//
+// Precipitation takes priority: a rain/snow/storm code, or a day wetter than
+// thresholds.maxPrecipitation, keeps its code-derived type. Otherwise wind
+// at or above either limit makes the day windy.
+export function getWeatherType(conditions, thresholds = WIND_THRESHOLDS) {
+  if (conditions == null || typeof conditions !== "object") return getTypeFromCode(conditions);
+
+  const type = getTypeFromCode(conditions.weatherCode);
+  if (PRECIPITATING_TYPES.includes(type)) return type;
+  if ((conditions.precipitation ?? 0) >= thresholds.maxPrecipitation) return type;
+
+  const windy =
+    (conditions.windSpeed ?? 0) >= thresholds.windSpeed ||
+    (conditions.windGusts ?? 0) >= thresholds.windGusts;
+  return windy ? WEATHER_TYPES.WINDY : type;
+}
+
+// ── Intensity ────────────────────────────────────────────────────
+// How hard it's raining, snowing or blowing, for scenes and sound that
+// scale with the forecast rather than just its type.
+
+// Severity of each WMO code, 0 (calm) to 1 (as bad as that kind gets)
+export const WMO_SEVERITY = {
+  45: 0.6, 48: 0.8,                      // fog, depositing rime fog
+  51: 0.2, 53: 0.35, 55: 0.5,            // drizzle
+  56: 0.3, 57: 0.5,                      // freezing drizzle
+  61: 0.35, 63: 0.6, 65: 0.9,            // rain
+  66: 0.5, 67: 0.85,                     // freezing rain
+  71: 0.3, 73: 0.6, 75: 0.9, 77: 0.3,    // snow, snow grains
+  80: 0.4, 81: 0.65, 82: 1,              // rain showers
+  85: 0.45, 86: 0.85,                    // snow showers
+  95: 0.7, 96: 0.85, 99: 1,              // thunderstorm, with hail
+};
+
+// A day's precipitation sum (mm) and wind speed (km/h) that count as "full"
+const HEAVY_PRECIPITATION_MM = 20;
+const STRONG_WIND_KMH = 75;
+
+// Normalize a day or hour object ({ weatherCode, precipitation,
+// precipProbability, windSpeed, windDirection }) into scene intensities:
+//   severity       0–1, from the WMO code
+//   precipitation  0–1, severity blended with the amount, damped by a low
+//                  probability (0 probability counts as unknown, not dry)
+//   wind           0–1, from windSpeed
+//   windDirection  degrees the wind comes FROM (meteorological), 0 = north
+// Missing fields count as calm.
+export function getWeatherIntensity(conditions) {
+  const severity = WMO_SEVERITY[conditions?.weatherCode] ?? 0;
+  const amount = Math.min(1, (conditions?.precipitation ?? 0) / HEAVY_PRECIPITATION_MM);
+  const probability = conditions?.precipProbability ? conditions.precipProbability / 100 : 1;
+  // Led by whichever of code and amount says it's worse (fog codes aren't wet)
+  const codeWetness = conditions?.weatherCode >= 50 ? severity : 0;
+  const wetness = Math.max(codeWetness, amount) * 0.7 + Math.min(codeWetness, amount) * 0.3;
+
+  return {
+    severity,
+    precipitation: wetness * (0.5 + 0.5 * probability),
+    wind: Math.min(1, (conditions?.windSpeed ?? 0) / STRONG_WIND_KMH),
+    windDirection: conditions?.windDirection ?? 0,
+  };
+}
+
 // Returns the key used to find transition frames folder
 // e.g. "sunny_to_rainy"
 export function getTransitionKey(fromType, toType) {
@@ -30,6 +115,16 @@ export function getTransitionKey(fromType, toType) {
   return `${fromType}_to_${toType}`;
 }
 
+// Asset lookup order for a type: itself, then its fallback chain.
+// e.g. "stormy" → ["stormy", "rainy"]
+export function getAssetTypeCandidates(type) {
+  const chain = [type];
+  while (FALLBACK_TYPES[chain[chain.length - 1]]) {
+    chain.push(FALLBACK_TYPES[chain[chain.length - 1]]);
+  }
+  return chain;
+}
+
 // Weather metadata for UI display
 export const WEATHER_META = {
   [WEATHER_TYPES.SUNNY]: {
@@ -80,4 +175,20 @@ export const WEATHER_META = {
     gradient: "linear-gradient(160deg, #78909c 0%, #90a4ae 50%, #b0bec5 100%)",
     particleType: "fog-wisps",
   },
+  [WEATHER_TYPES.STORMY]: {
+    label: "Stormy",
+    icon: "⛈️",
+    accentColor: "#B39DDB",
+    textColor: "#efeaff",
+    gradient: "linear-gradient(160deg, #141824 0%, #262b40 50%, #1a1d2c 100%)",
+    particleType: "lightning",
+  },
+  [WEATHER_TYPES.PARTLY_CLOUDY]: {
+    label: "Partly Cloudy",
+    icon: "⛅",
+    accentColor: "#FFE082",
+    textColor: "#1a1400",
+    gradient: "linear-gradient(160deg, #F6B352 0%, #9fb8cf 50%, #87CEEB 100%)",
+    particleType: "sun-through-clouds",
+  },
 };
@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { framesManifest } from './scripts/frames-manifest.js'
+import { serviceWorker } from './scripts/service-worker.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), framesManifest(), serviceWorker()],
   server: {
     port: 3000,
   },